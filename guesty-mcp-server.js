@@ -4,6 +4,10 @@
 // * Axios keep-alive agent + auto-retry on 429/5xx
 // * Basic env-var validation & configurable CORS
 // * Endpoint constants, health-check, stricter manifest
+// * MCP JSON-RPC 2.0 over Streamable HTTP (legacy envelope kept)
+// * --stdio mode for running as a local MCP subprocess
+// * JSON logs with request ids, Prometheus metrics on /metrics
+// * Signed Guesty webhooks → recent events, resource-change notifications
 // -----------------------------------------------------
 
 const express = require('express');
@@ -12,22 +16,79 @@ const axiosRetry = require('axios-retry');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const https = require('https');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { AsyncLocalStorage } = require('async_hooks');
 const { URLSearchParams } = require('url');
 
 // ---------------------------------------------------------------------------
 // 1 · Load & validate environment variables
 // ---------------------------------------------------------------------------
 
+// In stdio mode stdout carries the protocol stream – route diagnostics to stderr
+const STDIO_MODE = process.argv.includes('--stdio');
+if (STDIO_MODE) {
+  console.log = console.error;
+  console.info = console.error;
+  console.debug = console.error;
+}
+
 dotenv.config();
 
-const REQUIRED_ENV = [
+// Per-call state (request id, cache bypass, queue priority, …) visible to the logger and
+// apiRequest without threading it through every handler
+const requestContext = new AsyncLocalStorage();
+
+//--------------------------------------------------
+// Logging (leveled JSON lines)
+//--------------------------------------------------
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const LOG_THRESHOLD = LOG_LEVELS[process.env.LOG_LEVEL?.toLowerCase()] ?? LOG_LEVELS.info;
+
+// Errors are reduced to their type, code & message – stacks only for unexpected ones
+function serializeLogFields(fields) {
+  const { err, ...rest } = fields;
+  if (!err) return rest;
+  const expected = err instanceof GuestyMcpError;
+  return {
+    ...rest,
+    err: { type: err.name, code: err.code ?? null, message: err.message, ...(!expected && { stack: err.stack }) },
+  };
+}
+
+function writeLog(level, msg, fields = {}) {
+  if (LOG_LEVELS[level] < LOG_THRESHOLD) return;
+  const requestId = requestContext.getStore()?.requestId;
+  const line = JSON.stringify({
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestId && { request_id: requestId }),
+    ...serializeLogFields(fields),
+  });
+  // In stdio mode stdout is the protocol stream
+  (STDIO_MODE ? process.stderr : process.stdout).write(`${line}\n`);
+}
+
+// For callbacks that run outside the request's async context (e.g. 'finish' events)
+function writeLogFor(requestId, level, msg, fields) {
+  requestContext.run({ ...requestContext.getStore(), requestId }, () => writeLog(level, msg, fields));
+}
+
+const logger = Object.fromEntries(Object.keys(LOG_LEVELS).map((level) => [level, (msg, fields) => writeLog(level, msg, fields)]));
+
+// Credentials come from GUESTY_CLIENT_ID/SECRET, or from a named account set (see section 3)
+const REQUIRED_ENV = process.env.GUESTY_ACCOUNTS || process.env.GUESTY_ACCOUNTS_FILE ? [] : [
   'GUESTY_CLIENT_ID',
   'GUESTY_CLIENT_SECRET',
 ];
 
 REQUIRED_ENV.forEach((key) => {
   if (!process.env[key]) {
-    console.error(`❌ Missing required env var: ${key}`);
+    logger.error('Missing required env var', { key });
     process.exit(1);
   }
 });
@@ -35,6 +96,16 @@ REQUIRED_ENV.forEach((key) => {
 const PORT = process.env.PORT || 3000;
 const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS?.split(',').map((o) => o.trim());
 
+// Hard caps on what a single list call may return / listAll may collect
+const PAGINATION_MAX_ITEMS = Number(process.env.PAGINATION_MAX_ITEMS) || 500;
+const PAGINATION_MAX_BYTES = Number(process.env.PAGINATION_MAX_BYTES) || 256 * 1024;
+const LIST_ALL_MAX_ITEMS = Number(process.env.LIST_ALL_MAX_ITEMS) || 10_000;
+
+// batch_call / { type: 'batch' } limits
+const BATCH_MAX_CALLS = Number(process.env.BATCH_MAX_CALLS) || 50;
+const BATCH_MAX_CONCURRENCY = Number(process.env.BATCH_MAX_CONCURRENCY) || 8;
+const BATCH_DEFAULT_CONCURRENCY = Math.min(4, BATCH_MAX_CONCURRENCY);
+
 // ---------------------------------------------------------------------------
 // 2 · Constants & helpers
 // ---------------------------------------------------------------------------
@@ -43,7 +114,8 @@ const ENDPOINTS = {
   LISTINGS: '/listings',
   RESERVATIONS: '/reservations',
   GUESTS: '/guests',
-  COMMUNICATIONS: '/communications',
+  CONVERSATIONS: '/communication/conversations',
+  CALENDAR: '/availability-pricing/api/calendar/listings',
 };
 
 const API = {
@@ -64,31 +136,619 @@ const api = axios.create({
   },
 });
 
-// Retry policy – exponential back-off, max 3 attempts
+//--------------------------------------------------
+// Metrics (Prometheus text exposition, served on /metrics)
+//--------------------------------------------------
+
+const metricRegistry = [];
+const DURATION_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels)
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`);
+  return pairs.length ? `{${pairs.join(',')}}` : '';
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((name) => labels[name] ?? ''));
+}
+
+function createCounter(name, help, labelNames = []) {
+  const series = new Map(); // key → { labels, value }
+  const metric = {
+    inc(labels = {}, by = 1) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) ?? { labels, value: 0 };
+      entry.value += by;
+      series.set(key, entry);
+    },
+    render() {
+      return [...series.values()].map(({ labels, value }) => `${name}${formatLabels(labels)} ${value}`);
+    },
+  };
+  metricRegistry.push({ name, help, type: 'counter', metric });
+  return metric;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = DURATION_BUCKETS) {
+  const series = new Map(); // key → { labels, counts, sum, count }
+  const metric = {
+    observe(labels, value) {
+      const key = seriesKey(labelNames, labels);
+      const entry = series.get(key) ?? { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+      buckets.forEach((bound, i) => { if (value <= bound) entry.counts[i] += 1; });
+      entry.sum += value;
+      entry.count += 1;
+      series.set(key, entry);
+    },
+    render() {
+      return [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((bound, i) => `${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[i]}`),
+        `${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`,
+        `${name}_sum${formatLabels(labels)} ${sum}`,
+        `${name}_count${formatLabels(labels)} ${count}`,
+      ]);
+    },
+  };
+  metricRegistry.push({ name, help, type: 'histogram', metric });
+  return metric;
+}
+
+// Values owned elsewhere (cache stats, queue depth) – read at scrape time
+function createCollector(name, help, type, collect) {
+  metricRegistry.push({
+    name,
+    help,
+    type,
+    metric: { render: () => collect().map(([labels, value]) => `${name}${formatLabels(labels)} ${value}`) },
+  });
+}
+
+function renderMetrics() {
+  return `${metricRegistry.flatMap(({ name, help, type, metric }) => [
+    `# HELP ${name} ${help}`,
+    `# TYPE ${name} ${type}`,
+    ...metric.render(),
+  ]).join('\n')}\n`;
+}
+
+const METRICS = {
+  toolCalls: createCounter('guesty_mcp_tool_calls_total', 'Tool calls by outcome', ['tool', 'outcome']),
+  toolErrors: createCounter('guesty_mcp_tool_errors_total', 'Failed tool calls by error type', ['tool', 'type']),
+  toolDuration: createHistogram('guesty_mcp_tool_duration_seconds', 'Tool call latency', ['tool']),
+  upstreamResponses: createCounter('guesty_mcp_upstream_responses_total', 'Guesty API responses by status code (every attempt)', ['method', 'endpoint', 'status']),
+  upstreamDuration: createHistogram('guesty_mcp_upstream_duration_seconds', 'Guesty API latency per attempt, excluding queueing', ['method', 'endpoint']),
+  upstreamRetries: createCounter('guesty_mcp_upstream_retries_total', 'Automatic retries of Guesty API calls', ['method', 'endpoint']),
+  webhookEvents: createCounter('guesty_mcp_webhook_events_total', 'Guesty webhook deliveries by result (accepted, duplicate, rejected)', ['type', 'result']),
+  tokenEvents: createCounter('guesty_mcp_token_events_total', 'OAuth token events (refreshed, refresh_failed, restored, invalidated, circuit_opened, circuit_rejected)', ['account', 'event']),
+};
+
+// Paths carry ids – label by collection to keep cardinality bounded
+function endpointLabel(url = '') {
+  return collectionOf(url) ?? 'other';
+}
+
+function observeUpstream(config, status) {
+  if (!config || config.metricsObserved) return;
+  config.metricsObserved = true;
+  const labels = { method: config.method.toUpperCase(), endpoint: endpointLabel(config.url) };
+  const durationMs = Date.now() - config.startedAt;
+  METRICS.upstreamResponses.inc({ ...labels, status });
+  METRICS.upstreamDuration.observe(labels, durationMs / 1000);
+  logger.debug('Guesty response', { method: labels.method, url: config.url, status, duration_ms: durationMs });
+}
+
+// Registered before axios-retry so every attempt is seen, not only the last one.
+// Request interceptors run in reverse order, so timing starts after the rate limiter.
+api.interceptors.request.use((config) => {
+  config.startedAt = Date.now();
+  config.metricsObserved = false;
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => {
+    observeUpstream(response.config, response.status);
+    return response;
+  },
+  (err) => {
+    observeUpstream(err.config, err.response?.status ?? 'network');
+    return Promise.reject(err);
+  },
+);
+
+//--------------------------------------------------
+// Client-side rate limiting (token buckets + priority queue)
+//--------------------------------------------------
+
+// Guesty Open API quotas; response headers override these at runtime
+const RATE_LIMITS = [
+  { window: 'second', limit: Number(process.env.GUESTY_RATE_LIMIT_PER_SECOND) || 15, intervalMs: 1000 },
+  { window: 'minute', limit: Number(process.env.GUESTY_RATE_LIMIT_PER_MINUTE) || 120, intervalMs: 60_000 },
+  { window: 'hour', limit: Number(process.env.GUESTY_RATE_LIMIT_PER_HOUR) || 5000, intervalMs: 3_600_000 },
+];
+
+// Highest first: writes & messages, interactive reads, bulk page scans
+const PRIORITIES = ['high', 'normal', 'low'];
+
+function createRateLimiter(limits) {
+  const buckets = limits.map(({ window, limit, intervalMs }) => ({
+    window, capacity: limit, tokens: limit, intervalMs, updatedAt: Date.now(),
+  }));
+  const queues = Object.fromEntries(PRIORITIES.map((p) => [p, []]));
+  let pausedUntil = 0;
+  let timer = null;
+
+  const depth = () => PRIORITIES.reduce((n, p) => n + queues[p].length, 0);
+
+  function refill(now) {
+    buckets.forEach((b) => {
+      b.tokens = Math.min(b.capacity, b.tokens + ((now - b.updatedAt) * b.capacity) / b.intervalMs);
+      b.updatedAt = now;
+    });
+  }
+
+  function schedule(ms) {
+    timer = setTimeout(() => {
+      timer = null;
+      pump();
+    }, Math.max(1, Math.ceil(ms)));
+    timer.unref();
+  }
+
+  // Hands out tokens in priority order until a bucket runs dry, then sleeps until it refills
+  function pump() {
+    const now = Date.now();
+    refill(now);
+    while (depth() > 0) {
+      if (now < pausedUntil) return schedule(pausedUntil - now);
+      const empty = buckets.filter((b) => b.tokens < 1);
+      if (empty.length > 0) return schedule(Math.max(...empty.map((b) => ((1 - b.tokens) * b.intervalMs) / b.capacity)));
+
+      buckets.forEach((b) => { b.tokens -= 1; });
+      const priority = PRIORITIES.find((p) => queues[p].length > 0);
+      queues[priority].shift()();
+    }
+    return undefined;
+  }
+
+  return {
+    acquire(priority = 'normal') {
+      return new Promise((resolve) => {
+        queues[PRIORITIES.includes(priority) ? priority : 'normal'].push(resolve);
+        if (!timer) pump();
+      });
+    },
+
+    // Guesty reports what is really left (x-ratelimit-remaining-second|minute|hour) – trust it over our estimate
+    observe(headers = {}, status) {
+      buckets.forEach((b) => {
+        const limit = headers[`x-ratelimit-limit-${b.window}`];
+        const remaining = headers[`x-ratelimit-remaining-${b.window}`];
+        if (limit !== undefined && Number(limit) > 0) b.capacity = Number(limit);
+        if (remaining !== undefined && Number.isFinite(Number(remaining))) b.tokens = Math.min(b.tokens, Number(remaining));
+      });
+      if (status === 429) {
+        pausedUntil = Math.max(pausedUntil, Date.now() + (parseRetryAfter(headers['retry-after']) ?? 1000));
+      }
+    },
+
+    stats() {
+      refill(Date.now());
+      return {
+        depth: depth(),
+        queued: Object.fromEntries(PRIORITIES.map((p) => [p, queues[p].length])),
+        paused_for_ms: Math.max(0, pausedUntil - Date.now()),
+        tokens: Object.fromEntries(buckets.map((b) => [b.window, Math.floor(b.tokens)])),
+      };
+    },
+  };
+}
+
+// Registered before axios-retry, like the metrics interceptors: every attempt – retries included –
+// waits for a token from its account's limiter and reports the quota headers it got back
+api.interceptors.request.use(async (config) => {
+  await config.limiter?.acquire(config.priority);
+  return config;
+});
+
+api.interceptors.response.use(
+  (response) => {
+    response.config.limiter?.observe(response.headers, response.status);
+    return response;
+  },
+  (err) => {
+    if (err.response) err.config?.limiter?.observe(err.response.headers, err.response.status);
+    return Promise.reject(err);
+  },
+);
+
+//--------------------------------------------------
+// Retry policy
+//--------------------------------------------------
+
+// Exponential back-off (or Retry-After when Guesty sends one), max 3 attempts
 axiosRetry(api, {
   retries: 3,
-  retryDelay: axiosRetry.exponentialDelay,
+  retryDelay: (retryCount, err) => parseRetryAfter(err.response?.headers?.['retry-after']) ?? axiosRetry.exponentialDelay(retryCount),
   retryCondition: (err) => {
-    if (!err.response) return true; // network / timeout
-    const { status } = err.response;
-    return status === 429 || status >= 500;
+    const status = err.response?.status;
+    if (status === 429) return true; // throttled requests were never processed
+    // A POST that timed out or 5xx'd may still have landed – retrying could book or message twice
+    if (err.config?.method === 'post') return false;
+    return !err.response || status >= 500; // network / timeout / upstream failure
+  },
+  onRetry: (retryCount, err, config) => {
+    METRICS.upstreamRetries.inc({ method: config.method.toUpperCase(), endpoint: endpointLabel(config.url) });
+    logger.warn('Retrying Guesty request', {
+      method: config.method.toUpperCase(), url: config.url, attempt: retryCount, status: err.response?.status ?? null,
+    });
   },
 });
 
+//--------------------------------------------------
+// Error types – every failure surfaced to MCP clients is one of these
+//--------------------------------------------------
+
+class GuestyMcpError extends Error {
+  constructor(message, {
+    code = 'INTERNAL_ERROR',
+    status = 500,
+    retryable = false,
+    details = null,
+    upstreamStatus = null,
+    upstreamRequestId = null,
+    retryAfterMs = null,
+    cause,
+  } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.code = code;
+    this.status = status;
+    this.retryable = retryable;
+    this.details = details;
+    this.upstreamStatus = upstreamStatus;
+    this.upstreamRequestId = upstreamRequestId;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class ValidationError extends GuestyMcpError {
+  constructor(errors, options = {}) {
+    super(errors.map((e) => `${e.path} ${e.message}`).join('; '), {
+      code: 'VALIDATION_FAILED', status: 400, details: errors, ...options,
+    });
+    this.errors = errors; // [{ path, message }]
+  }
+}
+
+class NotFoundError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'NOT_FOUND', status: 404, ...options });
+  }
+}
+
+class ConflictError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'CONFLICT', status: 409, ...options });
+  }
+}
+
+class UpstreamAuthError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_AUTH_FAILED', status: 502, ...options });
+  }
+}
+
+class RateLimitedError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'RATE_LIMITED', status: 429, retryable: true, ...options });
+  }
+}
+
+class UpstreamUnavailableError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_UNAVAILABLE', status: 503, retryable: true, ...options });
+  }
+}
+
+class AuthenticationError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UNAUTHENTICATED', status: 401, ...options });
+  }
+}
+
+class ForbiddenError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'TOOL_NOT_ALLOWED', status: 403, ...options });
+  }
+}
+
+// Any other 4xx Guesty rejected the request with
+class UpstreamError extends GuestyMcpError {
+  constructor(message, options = {}) {
+    super(message, { code: 'UPSTREAM_ERROR', status: 502, ...options });
+  }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+function upstreamMessage(data) {
+  if (!data) return null;
+  if (typeof data === 'string') return data;
+  return data.error?.message || data.message || data.error_description || (typeof data.error === 'string' ? data.error : null);
+}
+
+// Maps an axios failure onto the error hierarchy above
+function normalizeUpstreamError(err, method, url) {
+  if (err instanceof GuestyMcpError) return err;
+
+  const { response } = err;
+  const request = `${method.toUpperCase()} ${url}`;
+  if (!response) {
+    return new UpstreamUnavailableError(`Guesty unreachable (${request}): ${err.message}`, { cause: err });
+  }
+
+  const { status, headers = {}, data } = response;
+  const options = {
+    details: data ?? null,
+    upstreamStatus: status,
+    upstreamRequestId: headers['x-request-id'] || headers['x-guesty-request-id'] || null,
+    cause: err,
+  };
+  const reason = upstreamMessage(data) || `HTTP ${status}`;
+
+  if (status === 401 || status === 403) return new UpstreamAuthError(`Guesty rejected our credentials (${request}): ${reason}`, options);
+  if (status === 404) return new NotFoundError(`Guesty resource not found (${request})`, options);
+  if (status === 409) return new ConflictError(`Guesty reported a conflict (${request}): ${reason}`, options);
+  if (status === 429) {
+    return new RateLimitedError(`Guesty rate limit exceeded (${request})`, {
+      ...options, retryAfterMs: parseRetryAfter(headers['retry-after']),
+    });
+  }
+  if (status >= 500) return new UpstreamUnavailableError(`Guesty unavailable (${request}): ${reason}`, options);
+  return new UpstreamError(`Guesty rejected the request (${request}): ${reason}`, options);
+}
+
+// Stable shape returned to clients on both transports
+function toErrorPayload(err) {
+  const known = err instanceof GuestyMcpError;
+  return {
+    type: known ? err.name : 'ServerError',
+    code: known ? err.code : 'INTERNAL_ERROR',
+    message: err.message,
+    retryable: known ? err.retryable : false,
+    retry_after_ms: known ? err.retryAfterMs : null,
+    upstream_status: known ? err.upstreamStatus : null,
+    upstream_request_id: known ? err.upstreamRequestId : null,
+    details: known ? err.details : null,
+  };
+}
+
 // ---------------------------------------------------------------------------
-// 3 · OAuth token management (single-flight)
+// 3 · OAuth token management (per account, single-flight)
 // ---------------------------------------------------------------------------
 
-let accessToken = null;
-let tokenExpiresAt = 0; // epoch ms
-let refreshingPromise = null;
+// GUESTY_ACCOUNTS / GUESTY_ACCOUNTS_FILE: { "<name>": { "client_id": "…", "client_secret": "…" }, … }
+function loadAccountConfig() {
+  const accounts = {};
+  if (process.env.GUESTY_CLIENT_ID) {
+    accounts.default = {
+      client_id: process.env.GUESTY_CLIENT_ID,
+      client_secret: process.env.GUESTY_CLIENT_SECRET,
+      webhook_secret: process.env.GUESTY_WEBHOOK_SECRET,
+    };
+  }
+  if (process.env.GUESTY_ACCOUNTS_FILE) {
+    Object.assign(accounts, JSON.parse(fs.readFileSync(process.env.GUESTY_ACCOUNTS_FILE, 'utf8')));
+  }
+  if (process.env.GUESTY_ACCOUNTS) Object.assign(accounts, JSON.parse(process.env.GUESTY_ACCOUNTS));
+  return accounts;
+}
+
+// Each account keeps its own token cache & rate limiter so nothing is shared across portfolios
+function createAccount(name, { client_id, client_secret, webhook_secret }) {
+  if (!client_id || !client_secret) throw new Error(`account "${name}" needs client_id and client_secret`);
+  return {
+    name,
+    clientId: client_id,
+    clientSecret: client_secret,
+    webhookSecret: webhook_secret || null, // Svix whsec_… secret; webhooks are refused without one
+    accessToken: null,
+    tokenExpiresAt: 0, // epoch ms
+    refreshingPromise: null,
+    breaker: { failures: 0, trips: 0, openUntil: 0, lastError: null },
+    unhelpfulRefreshAt: 0, // last time a fresh token was 401'd too – see apiRequest
+    lastUpstreamError: null,
+    limiter: createRateLimiter(RATE_LIMITS),
+  };
+}
+
+const ACCOUNTS = new Map();
+try {
+  Object.entries(loadAccountConfig()).forEach(([name, config]) => ACCOUNTS.set(name, createAccount(name, config)));
+  if (ACCOUNTS.size === 0) throw new Error('no Guesty accounts configured');
+} catch (err) {
+  logger.error('Invalid Guesty account configuration', { err });
+  process.exit(1);
+}
+
+const DEFAULT_ACCOUNT = process.env.GUESTY_DEFAULT_ACCOUNT || (ACCOUNTS.has('default') ? 'default' : ACCOUNTS.keys().next().value);
+if (!ACCOUNTS.has(DEFAULT_ACCOUNT)) {
+  logger.error('GUESTY_DEFAULT_ACCOUNT is not a configured account', { account: DEFAULT_ACCOUNT });
+  process.exit(1);
+}
+
+// The account the current tool call runs against
+function currentAccount() {
+  return ACCOUNTS.get(requestContext.getStore()?.account) || ACCOUNTS.get(DEFAULT_ACCOUNT);
+}
+
+//--------------------------------------------------
+// Token persistence (encrypted file by default) & token-endpoint circuit breaker
+//--------------------------------------------------
+
+// Guesty heavily rate-limits the token endpoint, so tokens survive restarts and
+// repeated failures stop us from asking again for a while
+
+const TOKEN_STORE_PATH = process.env.TOKEN_STORE_PATH || path.join(process.cwd(), '.guesty-tokens.json');
+const TOKEN_BREAKER_THRESHOLD = Number(process.env.TOKEN_BREAKER_THRESHOLD) || 3;
+const TOKEN_BREAKER_COOLDOWN_MS = Number(process.env.TOKEN_BREAKER_COOLDOWN_MS) || 15 * 60_000;
+const TOKEN_BREAKER_MAX_COOLDOWN_MS = 6 * 60 * 60_000;
+
+// Tokens are encrypted with TOKEN_STORE_SECRET, or with the account's own client secret
+function tokenSecretFor(accountName) {
+  return process.env.TOKEN_STORE_SECRET || ACCOUNTS.get(accountName)?.clientSecret;
+}
+
+function encryptJson(value, secret) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', crypto.scryptSync(secret, salt, 32), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+  return {
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+function decryptJson(entry, secret) {
+  const key = crypto.scryptSync(secret, Buffer.from(entry.salt, 'base64'), 32);
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(entry.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(entry.tag, 'base64'));
+  const plain = Buffer.concat([decipher.update(Buffer.from(entry.data, 'base64')), decipher.final()]);
+  return JSON.parse(plain.toString('utf8'));
+}
+
+// Store interface – each method may return a promise:
+//   load(accountName) → { accessToken, expiresAt, clientId } | null · save(accountName, { accessToken, expiresAt, clientId })
+function createFileTokenStore(filePath) {
+  const readAll = () => {
+    try {
+      return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch {
+      return {};
+    }
+  };
+
+  return {
+    load(accountName) {
+      const entry = readAll()[accountName];
+      if (!entry) return null;
+      try {
+        return decryptJson(entry, tokenSecretFor(accountName));
+      } catch {
+        return null; // credentials rotated or file tampered with – fetch a fresh token
+      }
+    },
+    save(accountName, token) {
+      const all = readAll();
+      all[accountName] = encryptJson(token, tokenSecretFor(accountName));
+      // Write-then-rename so a crash never leaves a half-written file
+      const tmpPath = `${filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(all, null, 2), { mode: 0o600 });
+      fs.renameSync(tmpPath, filePath);
+    },
+  };
+}
+
+function loadTokenStore() {
+  if (process.env.TOKEN_STORE_DISABLED === 'true') return null;
+  // External stores: a module exporting a factory that returns the interface above
+  if (process.env.TOKEN_STORE_MODULE) return require(path.resolve(process.env.TOKEN_STORE_MODULE))();
+  return createFileTokenStore(TOKEN_STORE_PATH);
+}
+
+const tokenStore = loadTokenStore();
+
+async function restoreToken(account) {
+  try {
+    const saved = await tokenStore?.load(account.name);
+    // Account names are reused across environments – a token minted for other credentials is not ours
+    if (saved && saved.clientId !== account.clientId) {
+      logger.warn('Ignoring stored OAuth token issued to another client id', { account: account.name });
+      return;
+    }
+    if (saved?.accessToken && saved.expiresAt > Date.now()) {
+      account.accessToken = saved.accessToken;
+      account.tokenExpiresAt = saved.expiresAt;
+      METRICS.tokenEvents.inc({ account: account.name, event: 'restored' });
+      logger.info('Restored OAuth token', { account: account.name, expires_at: new Date(saved.expiresAt).toISOString() });
+    }
+  } catch (err) {
+    logger.error('Could not restore OAuth token', { account: account.name, err });
+  }
+}
+
+async function persistToken(account) {
+  try {
+    await tokenStore?.save(account.name, {
+      accessToken: account.accessToken, expiresAt: account.tokenExpiresAt, clientId: account.clientId,
+    });
+  } catch (err) {
+    logger.error('Could not persist OAuth token', { account: account.name, err });
+  }
+}
+
+// Guesty revoked the token early (rotated secret, manual revoke) – forget it here and in the store
+async function invalidateToken(account, token) {
+  if (account.accessToken !== token) return; // a concurrent request already replaced it
+  account.accessToken = null;
+  account.tokenExpiresAt = 0;
+  METRICS.tokenEvents.inc({ account: account.name, event: 'invalidated' });
+  logger.warn('Guesty rejected the OAuth token, discarding it', { account: account.name });
+  await persistToken(account);
+}
+
+// Reloaded once at boot; getAccessToken waits for it before deciding to refresh
+const tokensRestored = Promise.all([...ACCOUNTS.values()].map(restoreToken));
+
+function assertTokenCircuitClosed(account) {
+  const { breaker } = account;
+  if (Date.now() >= breaker.openUntil) return;
+  const retryAfterMs = breaker.openUntil - Date.now();
+  METRICS.tokenEvents.inc({ account: account.name, event: 'circuit_rejected' });
+  throw new UpstreamAuthError(
+    `Guesty token endpoint circuit is open for account ${account.name} after ${breaker.failures} failed attempt(s); next attempt in ${Math.ceil(retryAfterMs / 1000)}s`,
+    { code: 'TOKEN_CIRCUIT_OPEN', retryAfterMs, details: { last_error: breaker.lastError } },
+  );
+}
+
+function recordTokenFailure(account, err) {
+  const { breaker } = account;
+  breaker.failures += 1;
+  breaker.lastError = err.message;
+
+  // A 429 from the token endpoint opens the circuit straight away
+  const retryAfterMs = err instanceof RateLimitedError ? err.retryAfterMs ?? TOKEN_BREAKER_COOLDOWN_MS : null;
+  if (retryAfterMs === null && breaker.failures < TOKEN_BREAKER_THRESHOLD) return;
+
+  const cooldown = retryAfterMs ?? Math.min(TOKEN_BREAKER_MAX_COOLDOWN_MS, TOKEN_BREAKER_COOLDOWN_MS * 2 ** breaker.trips);
+  breaker.trips += 1;
+  breaker.openUntil = Date.now() + cooldown;
+  METRICS.tokenEvents.inc({ account: account.name, event: 'circuit_opened' });
+  logger.error('Token circuit opened', { account: account.name, cooldown_ms: cooldown, failures: breaker.failures });
+}
+
+function recordTokenSuccess(account) {
+  account.breaker = { failures: 0, trips: 0, openUntil: 0, lastError: null };
+}
 
-async function requestNewToken() {
+async function requestNewToken(account) {
   const params = new URLSearchParams({
     grant_type: 'client_credentials',
     scope: 'open-api',
-    client_id: process.env.GUESTY_CLIENT_ID,
-    client_secret: process.env.GUESTY_CLIENT_SECRET,
+    client_id: account.clientId,
+    client_secret: account.clientSecret,
   });
 
   const { data } = await axios.post(API.TOKEN, params, {
@@ -99,99 +759,554 @@ async function requestNewToken() {
     httpsAgent,
   });
 
-  accessToken = data.access_token;
+  account.accessToken = data.access_token;
   // 10 % buffer or 5 min, whichever smaller
   const bufferMs = Math.min(300_000, data.expires_in * 100);
-  tokenExpiresAt = Date.now() + data.expires_in * 1000 - bufferMs;
-  return accessToken;
+  account.tokenExpiresAt = Date.now() + data.expires_in * 1000 - bufferMs;
+  return account.accessToken;
 }
 
-async function getAccessToken() {
-  if (accessToken && Date.now() < tokenExpiresAt) return accessToken;
+async function getAccessToken(account = currentAccount()) {
+  await tokensRestored;
+  if (account.accessToken && Date.now() < account.tokenExpiresAt) return account.accessToken;
+
+  if (account.refreshingPromise) return account.refreshingPromise; // single-flight
 
-  if (refreshingPromise) return refreshingPromise; // single-flight
+  assertTokenCircuitClosed(account);
 
-  refreshingPromise = requestNewToken()
+  account.refreshingPromise = requestNewToken(account)
+    .then(async (token) => {
+      recordTokenSuccess(account);
+      METRICS.tokenEvents.inc({ account: account.name, event: 'refreshed' });
+      logger.info('Refreshed OAuth token', { account: account.name, expires_at: new Date(account.tokenExpiresAt).toISOString() });
+      await persistToken(account);
+      return token;
+    })
     .catch((err) => {
-      console.error('🔒 OAuth refresh failed:', err.response?.data || err.message);
-      throw err;
+      // Any 4xx other than throttling means the credentials themselves are bad
+      const status = err.response?.status;
+      const error = status && status < 500 && status !== 429
+        ? new UpstreamAuthError(`Guesty OAuth token request failed: ${upstreamMessage(err.response.data) || `HTTP ${status}`}`, {
+          upstreamStatus: status, details: err.response.data ?? null, cause: err,
+        })
+        : normalizeUpstreamError(err, 'post', API.TOKEN);
+      METRICS.tokenEvents.inc({ account: account.name, event: 'refresh_failed' });
+      logger.error('OAuth token refresh failed', { account: account.name, status: status ?? null, err: error });
+      recordTokenFailure(account, error);
+      throw error;
     })
     .finally(() => {
-      refreshingPromise = null;
+      account.refreshingPromise = null;
     });
 
-  return refreshingPromise;
+  return account.refreshingPromise;
 }
 
 // ---------------------------------------------------------------------------
-// 4 · Thin API wrapper with auth header injection & pagination helpers
+// 4 · Thin API wrapper with auth header injection, caching & pagination helpers
 // ---------------------------------------------------------------------------
 
+function requestPriority(method, url) {
+  if (method !== 'get' || url.startsWith(ENDPOINTS.CONVERSATIONS)) return 'high';
+  return requestContext.getStore()?.priority || 'normal';
+}
+
 async function apiRequest(method, url, { data, params } = {}) {
-  const token = await getAccessToken();
-  return api.request({ method, url, data, params, headers: { Authorization: `Bearer ${token}` } })
+  const account = currentAccount();
+  const priority = requestPriority(method, url);
+  const send = async (retry) => {
+    const token = await getAccessToken(account);
+    return api.request({
+      method, url, data, params, priority, limiter: account.limiter, headers: { Authorization: `Bearer ${token}` },
+    }).catch(async (err) => {
+      if (err.response?.status !== 401) throw err;
+      // A fresh token 401'd as well: the endpoint refuses this client (permissions), the token is fine.
+      // Fail just this call and don't mint more tokens for 401s for a while
+      if (retry) {
+        account.unhelpfulRefreshAt = Date.now();
+        throw err;
+      }
+      if (Date.now() - account.unhelpfulRefreshAt < TOKEN_BREAKER_COOLDOWN_MS) throw err;
+      await invalidateToken(account, token);
+      throw Object.assign(err, { tokenRejected: true });
+    });
+  };
+
+  // One fresh token per request on a 401; getAccessToken keeps the refresh behind the circuit breaker
+  return send(false)
+    .catch((err) => (err.tokenRejected ? send(true) : Promise.reject(err)))
     .then((r) => r.data)
     .catch((err) => {
-      console.error(`🔥 API ${method.toUpperCase()} ${url} failed`, err.response?.data || err.message);
-      throw err;
+      const error = normalizeUpstreamError(err, method, url);
+      // Throttling & upstream failures (not 404s or conflicts) are what /ready reports on
+      if (error.status >= 429) {
+        account.lastUpstreamError = {
+          at: new Date().toISOString(), method: method.toUpperCase(), url, status: error.upstreamStatus ?? null, code: error.code, message: error.message,
+        };
+      }
+      logger.warn('Guesty request failed', { method: method.toUpperCase(), url, status: error.upstreamStatus ?? null, err: error });
+      throw error;
     });
 }
 
-const guesty = {
-  get: (url, params) => apiRequest('get', url, { params }),
-  post: (url, data) => apiRequest('post', url, { data }),
-  put: (url, data) => apiRequest('put', url, { data }),
-  delete: (url) => apiRequest('delete', url),
-
-  // auto-paginate helper – collects all pages (beware large data)
-  async listAll(url, params = {}) {
-    const pageSize = params.limit || 100;
-    let skip = params.skip || 0;
-    const all = [];
+//--------------------------------------------------
+// Response cache (pluggable store, in-memory LRU by default)
+//--------------------------------------------------
 
-    /* eslint-disable no-constant-condition */
-    while (true) {
-      const batch = await guesty.get(url, { ...params, limit: pageSize, skip });
-      const results = batch.results ?? batch;
-      all.push(...results);
-      if (results.length < pageSize) break; // last page
-      skip += pageSize;
-    }
-    /* eslint-enable */
+// Store interface – each method may return a promise:
+//   get(key) → value | undefined · set(key, value, ttlMs) · deletePrefix(prefix)
+function createMemoryCache({ maxEntries = 1000 } = {}) {
+  const entries = new Map(); // insertion order doubles as LRU order
 
-    return all;
-  },
-};
+  return {
+    get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry); // most recently used goes last
+      return structuredClone(entry.value);
+    },
+    set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value: structuredClone(value), expiresAt: Date.now() + ttlMs });
+      while (entries.size > maxEntries) entries.delete(entries.keys().next().value);
+    },
+    deletePrefix(prefix) {
+      for (const key of entries.keys()) {
+        if (key.startsWith(prefix)) entries.delete(key);
+      }
+    },
+    size: () => entries.size,
+  };
+}
 
-// ---------------------------------------------------------------------------
-// 5 · Express app & middleware
-// ---------------------------------------------------------------------------
+function loadCacheStore() {
+  if (process.env.CACHE_DISABLED === 'true') return null;
+  // External stores (Redis, …): a module exporting a factory that returns the interface above
+  if (process.env.CACHE_STORE_MODULE) return require(path.resolve(process.env.CACHE_STORE_MODULE))();
+  return createMemoryCache({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000 });
+}
 
-const app = express();
+const responseCache = loadCacheStore();
+const cacheStats = { hits: 0, misses: 0, errors: 0 };
 
-app.use(express.json());
-app.use(cors({
-  origin: (origin, cb) => {
-    if (!ALLOWED_ORIGINS || ALLOWED_ORIGINS.length === 0) return cb(null, true);
-    if (!origin || ALLOWED_ORIGINS.includes(origin)) return cb(null, true);
-    return cb(new Error('Not allowed by CORS'));
-  },
-}));
+const CACHE_TTLS_MS = {
+  [ENDPOINTS.LISTINGS]: 5 * 60_000,
+  [ENDPOINTS.RESERVATIONS]: 30_000,
+  [ENDPOINTS.GUESTS]: 60_000,
+  [ENDPOINTS.CALENDAR]: 30_000,
+  [ENDPOINTS.CONVERSATIONS]: 0, // messages are always read fresh
+};
+const AVAILABILITY_TTL_MS = 30_000;
 
-app.set('trust proxy', true);
+// A write to the key collection also stales these derived reads
+const CACHE_DEPENDENTS = {
+  [ENDPOINTS.RESERVATIONS]: [ENDPOINTS.CALENDAR, `${ENDPOINTS.LISTINGS}?`],
+  [ENDPOINTS.CALENDAR]: [`${ENDPOINTS.LISTINGS}?`],
+};
 
-// Health-check
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'ok',
-    uptime: process.uptime(),
-    memory: process.memoryUsage().rss,
-  });
-});
+function collectionOf(url) {
+  return Object.values(ENDPOINTS)
+    .filter((endpoint) => url === endpoint || url.startsWith(`${endpoint}/`))
+    .sort((a, b) => b.length - a.length)[0];
+}
 
-// ---------------------------------------------------------------------------
-// 6 · MCP Manifest & handlers
-// ---------------------------------------------------------------------------
+function cacheTtlFor(url, params) {
+  if (url === ENDPOINTS.LISTINGS && params?.available) return AVAILABILITY_TTL_MS;
+  return CACHE_TTLS_MS[collectionOf(url)] ?? 0;
+}
+
+// Scoped per account; sorted so key order doesn't matter; fields / filters are part of the key
+function cacheKey(url, params = {}) {
+  const query = Object.keys(params)
+    .filter((key) => params[key] !== undefined)
+    .sort()
+    .map((key) => `${key}=${typeof params[key] === 'object' ? JSON.stringify(params[key]) : params[key]}`)
+    .join('&');
+  return `${currentAccount().name}|${url}?${query}`;
+}
+
+// A broken external store must never fail the request – treat it as a miss
+async function safeCacheCall(operation, ...args) {
+  try {
+    return await responseCache[operation](...args);
+  } catch (err) {
+    cacheStats.errors += 1;
+    logger.error('Cache store call failed', { operation, err });
+    return undefined;
+  }
+}
+
+async function invalidateCacheFor(url) {
+  if (!responseCache) return;
+  const collection = collectionOf(url);
+  const prefixes = [`${url}?`];
+  if (collection && collection !== url) prefixes.push(`${url}/`);
+  if (collection) prefixes.push(`${collection}?`, ...(CACHE_DEPENDENTS[collection] || []));
+  const scope = `${currentAccount().name}|`;
+  await Promise.all(prefixes.map((prefix) => safeCacheCall('deletePrefix', scope + prefix)));
+}
+
+async function cachedGet(url, params) {
+  const ttl = responseCache ? cacheTtlFor(url, params) : 0;
+  if (ttl <= 0) return apiRequest('get', url, { params });
+
+  const key = cacheKey(url, params);
+  if (!requestContext.getStore()?.noCache) {
+    const hit = await safeCacheCall('get', key);
+    if (hit !== undefined) {
+      cacheStats.hits += 1;
+      return hit;
+    }
+  }
+
+  cacheStats.misses += 1;
+  const data = await apiRequest('get', url, { params });
+  await safeCacheCall('set', key, data, ttl);
+  return data;
+}
+
+// Writes decide based on current state – never on a cached copy
+function withoutCache(fn) {
+  return requestContext.run({ ...requestContext.getStore(), noCache: true }, fn);
+}
+
+// Invalidate even when the write fails – a timed-out POST may still have landed
+async function writeThrough(method, url, data) {
+  const preview = requestContext.getStore()?.preview;
+  if (preview) return recordPreviewWrite(preview, method, url, data);
+
+  try {
+    return await apiRequest(method, url, { data });
+  } finally {
+    await invalidateCacheFor(url);
+  }
+}
+
+// Dry runs record the write instead of sending it. The stand-in response lets the
+// handler carry on, so later writes show up in the preview too.
+function recordPreviewWrite(preview, method, url, data) {
+  preview.push({ method: method.toUpperCase(), path: url, body: data ?? null });
+  return { ...data, _id: `<pending:write ${preview.length}>` };
+}
+
+// Records the Guesty resources a tool call touched, for the audit log
+const RESOURCE_ACTIONS = { get: 'read', post: 'create', put: 'update', delete: 'delete' };
+
+function noteResource(method, url, response) {
+  const audit = requestContext.getStore()?.audit;
+  const collection = collectionOf(url);
+  // Dry-run writes never reached Guesty
+  if (!audit || !collection || (method !== 'get' && requestContext.getStore().preview)) return response;
+
+  const type = Object.keys(ENDPOINTS).find((key) => ENDPOINTS[key] === collection).toLowerCase();
+  const id = url.slice(collection.length + 1).split('/')[0] || (method === 'post' ? response?._id : null);
+  const action = RESOURCE_ACTIONS[method];
+  if (id && !audit.resources.some((r) => r.type === type && r.id === id && r.action === action)) {
+    audit.resources.push({ type, id, action });
+  }
+  return response;
+}
+
+const guesty = {
+  get: (url, params) => cachedGet(url, params).then((data) => noteResource('get', url, data)),
+  post: (url, data) => writeThrough('post', url, data).then((res) => noteResource('post', url, res)),
+  put: (url, data) => writeThrough('put', url, data).then((res) => noteResource('put', url, res)),
+  delete: (url) => writeThrough('delete', url).then((res) => noteResource('delete', url, res)),
+
+  // Async page iterator – fetches one page per step, yields { results, count, skip, last }
+  async *paginate(url, params = {}, { skip = 0, pageSize = 100 } = {}) {
+    let offset = skip;
+
+    /* eslint-disable no-constant-condition */
+    while (true) {
+      // Bulk scans queue behind interactive calls
+      const batch = await requestContext.run(
+        { ...requestContext.getStore(), priority: 'low' },
+        () => guesty.get(url, { ...params, limit: pageSize, skip: offset }),
+      );
+      const results = batch.results ?? batch;
+      const count = batch.count ?? null;
+      // An empty page makes no progress – stop rather than ask for the same offset again
+      const last = results.length === 0 || results.length < pageSize || (count !== null && offset + results.length >= count);
+      yield { results, count, skip: offset, last };
+      if (last) return;
+      offset += results.length;
+    }
+    /* eslint-enable */
+  },
+
+  // Collects every page – capped so a runaway query can't exhaust memory
+  async listAll(url, { limit, skip = 0, ...params } = {}, { maxItems = LIST_ALL_MAX_ITEMS } = {}) {
+    const all = [];
+    for await (const page of guesty.paginate(url, params, { skip, pageSize: limit || 100 })) {
+      all.push(...page.results);
+      if (all.length > maxItems) {
+        throw new GuestyMcpError(`More than ${maxItems} results for ${url} – narrow the filters`, {
+          code: 'RESULT_TOO_LARGE', status: 413,
+        });
+      }
+    }
+    return all;
+  },
+};
+
+// ---------------------------------------------------------------------------
+// 5 · Express app & middleware
+// ---------------------------------------------------------------------------
+
+const app = express();
+
+// Webhook signatures are computed over the exact bytes Guesty sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/webhooks/')) req.rawBody = buf;
+  },
+}));
+app.use(cors({
+  origin: (origin, cb) => {
+    if (!ALLOWED_ORIGINS || ALLOWED_ORIGINS.length === 0) return cb(null, true);
+    if (!origin || ALLOWED_ORIGINS.includes(origin)) return cb(null, true);
+    return cb(new Error('Not allowed by CORS'));
+  },
+  exposedHeaders: ['Mcp-Session-Id', 'X-Request-Id'],
+}));
+
+app.set('trust proxy', true);
+
+// Request ids – taken from the caller when sent, echoed back, and attached to every log line
+app.use((req, res, next) => {
+  const requestId = /^[\w.:-]{1,128}$/.test(req.get('X-Request-Id') || '') ? req.get('X-Request-Id') : crypto.randomUUID();
+  const startedAt = Date.now();
+  res.set('X-Request-Id', requestId);
+  res.on('finish', () => {
+    if (req.path === '/health' || req.path === '/metrics') return; // scraped constantly
+    writeLogFor(requestId, 'info', 'HTTP request', {
+      method: req.method, path: req.path, status: res.statusCode, duration_ms: Date.now() - startedAt,
+    });
+  });
+  requestContext.run({ requestId }, next);
+});
+
+// Health-check
+app.get('/health', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime: process.uptime(),
+    memory: process.memoryUsage().rss,
+    cache: responseCache ? { ...cacheStats, entries: responseCache.size?.() ?? null } : null,
+    accounts: [...ACCOUNTS.keys()],
+    queue: Object.fromEntries([...ACCOUNTS.values()].map((account) => [account.name, account.limiter.stats()])),
+  });
+});
+
+//--------------------------------------------------
+// Readiness (token + a cheap Guesty call per account, cached briefly)
+//--------------------------------------------------
+
+const READY_CACHE_MS = Number(process.env.READY_CACHE_MS) || 30_000;
+const READY_TIMEOUT_MS = Number(process.env.READY_TIMEOUT_MS) || 5_000;
+
+const lifecycle = { draining: false, inFlight: 0 };
+let readiness = { checkedAt: 0, promise: null };
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new UpstreamUnavailableError(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+async function checkAccountReadiness(account) {
+  const report = { ok: false, token: { ok: false }, upstream: null };
+
+  try {
+    await withTimeout(getAccessToken(account), READY_TIMEOUT_MS, 'Timed out obtaining an OAuth token');
+    report.token = { ok: true };
+  } catch (err) {
+    report.token = { ok: false, error: toErrorPayload(err) };
+  }
+
+  if (report.token.ok) {
+    const startedAt = Date.now();
+    try {
+      // Bypasses the response cache – the point is to reach Guesty
+      await withTimeout(
+        requestContext.run({ account: account.name }, () => apiRequest('get', ENDPOINTS.LISTINGS, { params: { limit: 1, fields: '_id' } })),
+        READY_TIMEOUT_MS,
+        'Timed out calling Guesty',
+      );
+      report.upstream = { ok: true, latency_ms: Date.now() - startedAt };
+    } catch (err) {
+      report.upstream = { ok: false, latency_ms: Date.now() - startedAt, error: toErrorPayload(err) };
+    }
+  }
+
+  report.ok = report.token.ok && report.upstream.ok;
+  report.token.expires_at = account.tokenExpiresAt ? new Date(account.tokenExpiresAt).toISOString() : null;
+  report.token.circuit_open_for_ms = Math.max(0, account.breaker.openUntil - Date.now());
+  report.last_upstream_error = account.lastUpstreamError;
+  report.rate_limit = account.limiter.stats();
+  return report;
+}
+
+// Single-flight and cached, so probes can't add load on Guesty
+function checkReadiness() {
+  if (readiness.promise && Date.now() - readiness.checkedAt < READY_CACHE_MS) return readiness.promise;
+  readiness = {
+    checkedAt: Date.now(),
+    promise: Promise.all([...ACCOUNTS.values()].map(async (account) => [account.name, await checkAccountReadiness(account)]))
+      .then((entries) => ({ checked_at: new Date().toISOString(), accounts: Object.fromEntries(entries) })),
+  };
+  return readiness.promise;
+}
+
+app.get('/ready', async (req, res) => {
+  if (lifecycle.draining) return res.status(503).json({ status: 'draining', in_flight: lifecycle.inFlight });
+  const report = await checkReadiness();
+  // One failing account shouldn't take the instance out of rotation for the others
+  const accounts = Object.values(report.accounts);
+  const usable = accounts.filter((account) => account.ok).length;
+  const status = usable === accounts.length ? 'ready' : usable > 0 ? 'degraded' : 'unavailable';
+  return res.status(usable > 0 ? 200 : 503).json({ status, ...report });
+});
+
+createCollector('guesty_mcp_cache_hits_total', 'Response cache hits', 'counter', () => [[{}, cacheStats.hits]]);
+createCollector('guesty_mcp_cache_misses_total', 'Response cache misses', 'counter', () => [[{}, cacheStats.misses]]);
+createCollector('guesty_mcp_rate_limit_queue_depth', 'Guesty calls waiting for the rate limiter', 'gauge', () => (
+  [...ACCOUNTS.values()].map((account) => [{ account: account.name }, account.limiter.stats().depth])
+));
+createCollector('guesty_mcp_uptime_seconds', 'Process uptime', 'gauge', () => [[{}, process.uptime()]]);
+
+// Prometheus scrape target
+app.get('/metrics', (req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+
+// ---------------------------------------------------------------------------
+// 6 · MCP Manifest & handlers
+// ---------------------------------------------------------------------------
+
+const RESERVATION_STATUSES = ['inquiry', 'pending', 'confirmed', 'canceled'];
+const MESSAGE_CHANNELS = ['platform', 'email', 'sms'];
+
+// Guest fields shared by create_guest & update_guest
+const GUEST_PROPERTIES = {
+  first_name: {
+    type: 'string',
+    minLength: 1,
+    description: 'Guest first name'
+  },
+  last_name: {
+    type: 'string',
+    minLength: 1,
+    description: 'Guest last name'
+  },
+  email: {
+    type: 'string',
+    format: 'email',
+    description: 'Guest email address'
+  },
+  phone: {
+    type: 'string',
+    minLength: 1,
+    description: 'Guest phone number, ideally in international format'
+  },
+  notes: {
+    type: 'string',
+    description: 'Internal notes about the guest'
+  }
+};
+
+// Read tools accept a per-call cache bypass
+const NO_CACHE_PROPERTY = {
+  no_cache: {
+    type: 'boolean',
+    description: 'Skip the response cache and read straight from Guesty (default: false)'
+  }
+};
+
+// Guesty list filters are an array of conditions; a pre-encoded JSON string is passed through as is
+const FILTERS_PROPERTY = {
+  type: ['array', 'string'],
+  items: {
+    type: 'object',
+    required: ['field', 'operator'],
+    additionalProperties: false,
+    properties: {
+      field: { type: 'string', minLength: 1, description: 'Guesty field path, e.g. "address.city"' },
+      operator: { type: 'string', pattern: '^\\$[a-z]+$', description: 'Guesty operator, e.g. $eq, $ne, $in, $lt, $gte, $contains' },
+      value: { description: 'Value to compare against (an array for $in / $nin)' }
+    }
+  }
+};
+
+// Read tools that return Guesty documents – see "Response shaping" in section 7
+const FIELDS_PROPERTY = {
+  fields: {
+    type: 'string',
+    minLength: 1,
+    description: 'Comma-separated list of fields to include in the response, e.g. "title,address.city,prices.basePrice" (overrides detail)'
+  }
+};
+
+const SHAPE_PROPERTIES = {
+  detail: {
+    type: 'string',
+    enum: ['summary', 'full'],
+    description: 'summary (default): the most useful fields only; full: the complete Guesty payload'
+  },
+  markdown: {
+    type: 'boolean',
+    description: 'Also return the result rendered as Markdown (default: false)'
+  }
+};
+
+const IDEMPOTENCY_KEY_PROPERTY = {
+  idempotency_key: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 255,
+    description: 'Replays with the same key return the original result instead of writing again (default: the call id)'
+  }
+};
+
+// Shared by the report tools
+const REPORT_PROPERTIES = {
+  listing_id: {
+    type: 'string',
+    minLength: 1,
+    description: 'Only report on this listing (default: the whole portfolio)'
+  },
+  statuses: {
+    type: 'array',
+    minItems: 1,
+    items: { type: 'string', enum: RESERVATION_STATUSES },
+    description: 'Reservation statuses to include (default: ["confirmed"])'
+  },
+  format: {
+    type: 'string',
+    enum: ['json', 'csv'],
+    description: 'json (default) or csv – one row per reservation or listing'
+  },
+  ...NO_CACHE_PROPERTY
+};
+
+const REPORT_RANGE_PROPERTIES = {
+  start_date: {
+    type: 'string',
+    format: 'date',
+    description: 'First night in YYYY-MM-DD format'
+  },
+  end_date: {
+    type: 'string',
+    format: 'date',
+    'x-on-or-after': 'start_date',
+    description: 'Last night (inclusive) in YYYY-MM-DD format'
+  }
+};
 
 const MCP_MANIFEST = {
   schema_version: '1',
@@ -204,19 +1319,34 @@ const MCP_MANIFEST = {
       description: 'List Guesty properties with optional filtering',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         properties: {
           filters: {
-            type: 'object',
-            description: 'JSON filtering criteria for properties'
+            ...FILTERS_PROPERTY,
+            description: 'Guesty filters for properties, e.g. [{ "field": "address.city", "operator": "$eq", "value": "Lisbon" }]'
           },
           limit: {
             type: 'integer',
-            description: 'Maximum number of results to return'
+            minimum: 1,
+            description: 'Page size (default: 100)'
           },
           skip: {
             type: 'integer',
-            description: 'Number of results to skip for pagination'
-          }
+            minimum: 0,
+            description: 'Number of results to skip (prefer cursor)'
+          },
+          cursor: {
+            type: 'string',
+            minLength: 1,
+            description: 'next_cursor from a previous call; continues with the same filters'
+          },
+          fetch_all: {
+            type: 'boolean',
+            description: 'Keep fetching pages until the per-call item/size cap is reached; with a progressToken each page is also sent in its progress notification (default: false)'
+          },
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
         }
       }
     },
@@ -225,16 +1355,17 @@ const MCP_MANIFEST = {
       description: 'Get details for a specific property by ID',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         required: ['property_id'],
         properties: {
           property_id: {
             type: 'string',
+            minLength: 1,
             description: 'ID of the property to retrieve'
           },
-          fields: {
-            type: 'string',
-            description: 'Comma-separated list of fields to include in the response'
-          }
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
         }
       }
     },
@@ -243,24 +1374,88 @@ const MCP_MANIFEST = {
       description: 'Check availability of properties for specific dates',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         required: ['check_in', 'check_out'],
         properties: {
           property_id: {
             type: 'string',
+            minLength: 1,
             description: 'Optional ID of a specific property to check'
           },
           check_in: {
             type: 'string',
+            format: 'date',
             description: 'Check-in date in YYYY-MM-DD format'
           },
           check_out: {
             type: 'string',
+            format: 'date',
+            'x-after': 'check_in',
             description: 'Check-out date in YYYY-MM-DD format'
           },
           min_occupancy: {
             type: 'integer',
+            minimum: 1,
             description: 'Minimum occupancy requirement'
-          }
+          },
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'find_alternatives',
+      description: 'When a listing is not available, find other options: nearby date shifts for the same listing and similar available listings (capacity, location, amenities), ranked with the reasons each matched',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['property_id', 'check_in', 'check_out', 'guests_count'],
+        properties: {
+          property_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the preferred property'
+          },
+          check_in: {
+            type: 'string',
+            format: 'date',
+            description: 'Requested check-in date in YYYY-MM-DD format'
+          },
+          check_out: {
+            type: 'string',
+            format: 'date',
+            'x-after': 'check_in',
+            description: 'Requested check-out date in YYYY-MM-DD format'
+          },
+          guests_count: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Number of guests'
+          },
+          date_flex_days: {
+            type: 'integer',
+            minimum: 0,
+            maximum: 7,
+            description: 'Also try the preferred property with the stay moved up to this many days earlier or later (default: 2)'
+          },
+          max_distance_km: {
+            type: 'number',
+            minimum: 0,
+            description: 'Only suggest properties within this distance of the preferred one (default: same city)'
+          },
+          amenities: {
+            type: 'array',
+            items: { type: 'string', minLength: 1 },
+            description: 'Amenities an alternative must have, e.g. ["Pool", "Wifi"]'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 50,
+            description: 'Maximum number of options to return (default: 10)'
+          },
+          ...NO_CACHE_PROPERTY
         }
       }
     },
@@ -269,19 +1464,34 @@ const MCP_MANIFEST = {
       description: 'List reservations with optional filtering',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         properties: {
           filters: {
-            type: 'object',
-            description: 'JSON filtering criteria for reservations'
+            ...FILTERS_PROPERTY,
+            description: 'Guesty filters for reservations, e.g. [{ "field": "status", "operator": "$eq", "value": "confirmed" }]'
           },
           limit: {
             type: 'integer',
-            description: 'Maximum number of results to return'
+            minimum: 1,
+            description: 'Page size (default: 100)'
           },
           skip: {
             type: 'integer',
-            description: 'Number of results to skip for pagination'
-          }
+            minimum: 0,
+            description: 'Number of results to skip (prefer cursor)'
+          },
+          cursor: {
+            type: 'string',
+            minLength: 1,
+            description: 'next_cursor from a previous call; continues with the same filters'
+          },
+          fetch_all: {
+            type: 'boolean',
+            description: 'Keep fetching pages until the per-call item/size cap is reached; with a progressToken each page is also sent in its progress notification (default: false)'
+          },
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
         }
       }
     },
@@ -290,16 +1500,17 @@ const MCP_MANIFEST = {
       description: 'Get details for a specific reservation by ID',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         required: ['reservation_id'],
         properties: {
           reservation_id: {
             type: 'string',
+            minLength: 1,
             description: 'ID of the reservation to retrieve'
           },
-          fields: {
-            type: 'string',
-            description: 'Comma-separated list of fields to include in the response'
-          }
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
         }
       }
     },
@@ -308,387 +1519,3614 @@ const MCP_MANIFEST = {
       description: 'Create a new reservation in Guesty',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         required: ['listing_id', 'check_in_date', 'check_out_date'],
+        anyOf: [{ required: ['guest_id'] }, { required: ['guest_data'] }],
         properties: {
           listing_id: {
             type: 'string',
+            minLength: 1,
             description: 'ID of the property for the reservation'
           },
           check_in_date: {
             type: 'string',
+            format: 'date',
             description: 'Check-in date in YYYY-MM-DD format'
           },
           check_out_date: {
             type: 'string',
+            format: 'date',
+            'x-after': 'check_in_date',
             description: 'Check-out date in YYYY-MM-DD format'
           },
           guest_id: {
             type: 'string',
+            minLength: 1,
             description: 'ID of an existing guest (if available)'
           },
           guest_data: {
             type: 'object',
-            description: 'Data for creating a new guest if guest_id is not provided'
+            description: 'Guesty guest fields (firstName, lastName, email, phone, …) used when guest_id is not provided; an existing guest with the same email or phone is reused'
           },
           status: {
             type: 'string',
             description: 'Reservation status (default: inquiry)',
-            enum: ['inquiry', 'pending', 'confirmed', 'canceled']
-          }
+            enum: RESERVATION_STATUSES
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
         }
       }
     },
     {
       name: 'send_guest_message',
-      description: 'Send a message to a guest for a specific reservation',
+      description: 'Send a message to a guest in the reservation\'s conversation thread, either free text or a rendered message template. Use preview to see the rendered message and chosen channel without sending',
       parameters: {
         type: 'object',
-        required: ['reservation_id', 'message'],
+        additionalProperties: false,
+        required: ['reservation_id'],
+        anyOf: [{ required: ['message'] }, { required: ['template'] }],
         properties: {
           reservation_id: {
             type: 'string',
+            minLength: 1,
             description: 'ID of the reservation'
           },
           message: {
             type: 'string',
-            description: 'Message content to send to the guest'
+            pattern: '\\S',
+            description: 'Message content to send to the guest; may contain {{placeholders}} like a template'
+          },
+          template: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of a message template to render and send (see list_message_templates)'
+          },
+          variables: {
+            type: 'object',
+            description: 'Placeholder values that override or fill in reservation / listing data, e.g. { "door_code": "4821" }'
+          },
+          channel: {
+            type: 'string',
+            enum: MESSAGE_CHANNELS,
+            description: 'platform (the booking channel\'s inbox, e.g. Airbnb), email or sms. Default: platform when available, then email, then sms'
           },
           subject: {
             type: 'string',
-            description: 'Subject line for the message (default: "Message from Property Manager")'
-          }
+            description: 'Subject line for email messages (default: the template subject or "Message from Property Manager")'
+          },
+          preview: {
+            type: 'boolean',
+            description: 'Render the message and check the channel without sending (default: false)'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
         }
       }
     },
     {
       name: 'get_guest_messages',
-      description: 'Get message history for a specific reservation',
+      description: 'Get the conversation thread for a reservation, with the channels the guest can be reached on',
       parameters: {
         type: 'object',
+        additionalProperties: false,
         required: ['reservation_id'],
         properties: {
           reservation_id: {
             type: 'string',
+            minLength: 1,
             description: 'ID of the reservation'
           },
+          channel: {
+            type: 'string',
+            enum: MESSAGE_CHANNELS,
+            description: 'Only return messages sent on this channel'
+          },
           limit: {
             type: 'integer',
+            minimum: 1,
             description: 'Maximum number of messages to return'
-          }
+          },
+          ...NO_CACHE_PROPERTY
         }
       }
-    }
-  ],
-};
-
-//--------------------------------------------------
-// Tool handler implementations
-//--------------------------------------------------
-
-function stringifyFilters(filters) {
-  if (!filters) return undefined;
-  return typeof filters === 'string' ? filters : JSON.stringify(filters);
-}
-
-async function listProperties(params = {}) {
-  // Input validation
-  if (params.limit && (!Number.isInteger(params.limit) || params.limit < 1)) {
-    throw new Error('ValidationError: limit must be a positive integer');
-  }
-  if (params.skip && (!Number.isInteger(params.skip) || params.skip < 0)) {
-    throw new Error('ValidationError: skip must be a non-negative integer');
-  }
-  
-  const query = { ...params, filters: stringifyFilters(params.filters) };
-  console.log(`[listProperties] Querying properties with params: ${JSON.stringify(query)}`);
-  return guesty.get(ENDPOINTS.LISTINGS, query);
-}
-
-async function getProperty({ property_id, fields }) {
-  // Input validation
-  if (!property_id) {
-    throw new Error('ValidationError: property_id is required');
-  }
-  
-  const query = fields ? { fields } : undefined;
-  console.log(`[getProperty] Fetching property: ${property_id}`);
-  return guesty.get(`${ENDPOINTS.LISTINGS}/${property_id}`, query)
-    .catch(err => {
-      if (err.response?.status === 404) {
-        throw new Error('NotFoundError: Property not found');
+    },
+    {
+      name: 'list_message_templates',
+      description: 'List the message templates available to send_guest_message, with their placeholders',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {}
       }
-      throw err;
-    });
-}
-
-async function checkAvailability({ property_id, check_in, check_out, min_occupancy }) {
-  // Input validation
-  if (!check_in || !check_out) {
-    throw new Error('ValidationError: check_in and check_out dates are required');
-  }
-  
-  // Validate date format (YYYY-MM-DD)
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(check_in) || !dateRegex.test(check_out)) {
-    throw new Error('ValidationError: dates must be in YYYY-MM-DD format');
-  }
-  
-  // Validate check_out is after check_in
-  if (new Date(check_in) >= new Date(check_out)) {
-    throw new Error('ValidationError: check_out date must be after check_in date');
-  }
-  
-  if (min_occupancy && (!Number.isInteger(min_occupancy) || min_occupancy < 1)) {
-    throw new Error('ValidationError: min_occupancy must be a positive integer');
-  }
-
-  const availableParams = {
-    checkIn: check_in,
-    checkOut: check_out,
-  };
-  if (min_occupancy) availableParams.minOccupancy = min_occupancy;
-
-  const query = {
-    available: JSON.stringify(availableParams),
-  };
-  if (property_id) query.ids = property_id;
-
-  console.log(`[checkAvailability] Checking availability for dates: ${check_in} to ${check_out}`);
-  return guesty.get(ENDPOINTS.LISTINGS, query);
-}
-
-async function listReservations(params = {}) {
-  // Input validation
-  if (params.limit && (!Number.isInteger(params.limit) || params.limit < 1)) {
-    throw new Error('ValidationError: limit must be a positive integer');
-  }
-  if (params.skip && (!Number.isInteger(params.skip) || params.skip < 0)) {
-    throw new Error('ValidationError: skip must be a non-negative integer');
-  }
+    },
+    {
+      name: 'search_guests',
+      description: 'Search guests by email, phone or name',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        anyOf: [{ required: ['email'] }, { required: ['phone'] }, { required: ['name'] }],
+        properties: {
+          email: {
+            type: 'string',
+            minLength: 1,
+            description: 'Email address to match (case-insensitive, exact)'
+          },
+          phone: {
+            type: 'string',
+            minLength: 1,
+            description: 'Phone number to match (formatting and country prefix are ignored)'
+          },
+          name: {
+            type: 'string',
+            minLength: 1,
+            description: 'Full or partial guest name'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Maximum number of guests to return (default: 25)'
+          },
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'get_guest',
+      description: 'Get details for a specific guest by ID',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['guest_id'],
+        properties: {
+          guest_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the guest to retrieve'
+          },
+          ...FIELDS_PROPERTY,
+          ...SHAPE_PROPERTIES,
+          ...NO_CACHE_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'create_guest',
+      description: 'Create a guest, reusing an existing guest when the email or phone already matches one',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        anyOf: [{ required: ['email'] }, { required: ['phone'] }, { required: ['first_name'] }],
+        properties: {
+          ...GUEST_PROPERTIES,
+          allow_duplicate: {
+            type: 'boolean',
+            description: 'Create a new guest even if one with the same email or phone exists (default: false)'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'update_guest',
+      description: 'Update fields on an existing guest',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['guest_id'],
+        anyOf: Object.keys(GUEST_PROPERTIES).map((key) => ({ required: [key] })),
+        properties: {
+          guest_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the guest to update'
+          },
+          ...GUEST_PROPERTIES,
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'merge_guests',
+      description: 'Merge a duplicate guest into another: fills the kept guest\'s missing details from the duplicate and moves the duplicate\'s reservations over. The duplicate record itself stays in Guesty',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['guest_id', 'duplicate_guest_id'],
+        properties: {
+          guest_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the guest to keep'
+          },
+          duplicate_guest_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the duplicate guest to merge into guest_id'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'update_reservation',
+      description: 'Update an existing reservation and return a before/after diff',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['reservation_id'],
+        anyOf: [
+          { required: ['status'] },
+          { required: ['guests_count'] },
+          { required: ['planned_arrival'] },
+          { required: ['planned_departure'] },
+          { required: ['notes'] }
+        ],
+        properties: {
+          reservation_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the reservation to update'
+          },
+          status: {
+            type: 'string',
+            description: 'New reservation status (must be an allowed transition from the current one); use cancel_reservation to cancel',
+            enum: RESERVATION_STATUSES.filter((status) => status !== 'canceled')
+          },
+          guests_count: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Number of guests'
+          },
+          planned_arrival: {
+            type: 'string',
+            pattern: '^\\d{2}:\\d{2}$',
+            description: 'Planned arrival time (HH:mm)'
+          },
+          planned_departure: {
+            type: 'string',
+            pattern: '^\\d{2}:\\d{2}$',
+            description: 'Planned departure time (HH:mm)'
+          },
+          notes: {
+            type: 'string',
+            description: 'Internal notes on the reservation'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'change_reservation_dates',
+      description: 'Move a reservation to new dates after checking the listing is available',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['reservation_id', 'check_in_date', 'check_out_date'],
+        properties: {
+          reservation_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the reservation to move'
+          },
+          check_in_date: {
+            type: 'string',
+            format: 'date',
+            description: 'New check-in date in YYYY-MM-DD format'
+          },
+          check_out_date: {
+            type: 'string',
+            format: 'date',
+            'x-after': 'check_in_date',
+            description: 'New check-out date in YYYY-MM-DD format'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'cancel_reservation',
+      description: 'Cancel a reservation, recording the reason',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['reservation_id', 'reason'],
+        properties: {
+          reservation_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the reservation to cancel'
+          },
+          reason: {
+            type: 'string',
+            pattern: '\\S',
+            description: 'Why the reservation is being canceled'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'confirm_reservation',
+      description: 'Confirm an inquiry or pending reservation',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['reservation_id'],
+        properties: {
+          reservation_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the reservation to confirm'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'get_calendar',
+      description: 'Get per-day availability, nightly price and minimum nights for a property',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['property_id', 'start_date', 'end_date'],
+        properties: {
+          property_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the property'
+          },
+          start_date: {
+            type: 'string',
+            format: 'date',
+            description: 'First day in YYYY-MM-DD format'
+          },
+          end_date: {
+            type: 'string',
+            format: 'date',
+            'x-on-or-after': 'start_date',
+            description: 'Last day (inclusive) in YYYY-MM-DD format'
+          },
+          ...NO_CACHE_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'update_calendar',
+      description: 'Block or unblock days and set nightly price or minimum-night overrides for a property',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['property_id', 'start_date', 'end_date'],
+        anyOf: [{ required: ['status'] }, { required: ['price'] }, { required: ['min_nights'] }],
+        properties: {
+          property_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the property'
+          },
+          start_date: {
+            type: 'string',
+            format: 'date',
+            description: 'First day in YYYY-MM-DD format'
+          },
+          end_date: {
+            type: 'string',
+            format: 'date',
+            'x-on-or-after': 'start_date',
+            description: 'Last day (inclusive) in YYYY-MM-DD format'
+          },
+          status: {
+            type: 'string',
+            description: 'available to unblock, unavailable to block',
+            enum: ['available', 'unavailable']
+          },
+          price: {
+            type: 'number',
+            minimum: 0,
+            description: 'Nightly price override in the listing currency'
+          },
+          min_nights: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Minimum nights override'
+          },
+          note: {
+            type: 'string',
+            description: 'Note to attach to the days (e.g. reason for blocking)'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'get_quote',
+      description: 'Compute the total price of a stay, including fees and taxes, before creating a reservation',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['property_id', 'check_in', 'check_out', 'guests_count'],
+        properties: {
+          property_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'ID of the property'
+          },
+          check_in: {
+            type: 'string',
+            format: 'date',
+            description: 'Check-in date in YYYY-MM-DD format'
+          },
+          check_out: {
+            type: 'string',
+            format: 'date',
+            'x-after': 'check_in',
+            description: 'Check-out date in YYYY-MM-DD format'
+          },
+          guests_count: {
+            type: 'integer',
+            minimum: 1,
+            description: 'Number of guests'
+          },
+          ...NO_CACHE_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'get_arrivals_departures',
+      description: 'Arrivals and departures for one day across all properties (or one), with planned times, guest counts and balances due',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['date'],
+        properties: {
+          date: {
+            type: 'string',
+            format: 'date',
+            description: 'Day in YYYY-MM-DD format'
+          },
+          ...REPORT_PROPERTIES
+        }
+      }
+    },
+    {
+      name: 'get_occupancy_report',
+      description: 'Booked nights and occupancy per listing and for the portfolio over a date range. Stays crossing the range boundaries only count their nights inside it',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['start_date', 'end_date'],
+        properties: {
+          ...REPORT_RANGE_PROPERTIES,
+          ...REPORT_PROPERTIES
+        }
+      }
+    },
+    {
+      name: 'get_revenue_report',
+      description: 'Accommodation revenue, host payout, ADR and RevPAR per listing and for the portfolio over a date range. Revenue of stays crossing the range boundaries is prorated per night',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['start_date', 'end_date'],
+        properties: {
+          ...REPORT_RANGE_PROPERTIES,
+          ...REPORT_PROPERTIES
+        }
+      }
+    },
+    {
+      name: 'confirm_action',
+      description: 'Execute a write previewed by another tool, using the confirmation_token it returned',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['confirmation_token'],
+        properties: {
+          confirmation_token: {
+            type: 'string',
+            minLength: 1,
+            description: 'One-time token from the preview'
+          },
+          ...IDEMPOTENCY_KEY_PROPERTY
+        }
+      }
+    },
+    {
+      name: 'batch_call',
+      description: 'Run several tool calls in one request, e.g. the same tool over many ids. Calls run a few at a time within the Guesty rate limits; each gets its own result or error',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['calls'],
+        properties: {
+          calls: {
+            type: 'array',
+            minItems: 1,
+            maxItems: BATCH_MAX_CALLS,
+            description: 'Tool calls to run; results come back in the same order',
+            items: {
+              type: 'object',
+              additionalProperties: false,
+              required: ['tool_name'],
+              properties: {
+                tool_name: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Tool to call (not batch_call)'
+                },
+                tool_params: {
+                  type: 'object',
+                  description: 'Arguments for the tool'
+                },
+                call_id: {
+                  type: 'string',
+                  minLength: 1,
+                  description: 'Caller-chosen id echoed in the result; combined with the batch\'s own call id it is the default idempotency key for write tools'
+                }
+              }
+            }
+          },
+          concurrency: {
+            type: 'integer',
+            minimum: 1,
+            maximum: BATCH_MAX_CONCURRENCY,
+            description: `How many calls may run at once (default: ${BATCH_DEFAULT_CONCURRENCY})`
+          },
+          stop_on_error: {
+            type: 'boolean',
+            description: 'Start no further calls after the first failure; the rest are reported as skipped (default: false)'
+          }
+        }
+      }
+    },
+    {
+      name: 'get_audit_log',
+      description: 'Search the audit log of tool calls made through this server (newest first)',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          from: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Earliest call to include (YYYY-MM-DD or ISO timestamp)'
+          },
+          to: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Latest call to include; a bare date includes the whole day'
+          },
+          tool: {
+            type: 'string',
+            minLength: 1,
+            description: 'Only calls to this tool'
+          },
+          reservation_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'Only calls that referenced or touched this reservation'
+          },
+          client: {
+            type: 'string',
+            minLength: 1,
+            description: 'Only calls made with this API key name'
+          },
+          outcome: {
+            type: 'string',
+            enum: ['success', 'error', 'preview', 'replayed'],
+            description: 'Only calls with this outcome'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 1000,
+            description: 'Max entries to return (default: 100)'
+          }
+        }
+      }
+    },
+    {
+      name: 'list_recent_events',
+      description: 'List recent Guesty events received by webhook (new inquiries, reservation changes, guest messages, listing changes), newest first',
+      parameters: {
+        type: 'object',
+        additionalProperties: false,
+        properties: {
+          types: {
+            type: 'array',
+            minItems: 1,
+            items: { type: 'string', minLength: 1 },
+            description: 'Event types or categories, * allowed (e.g. ["reservation.new", "message"])'
+          },
+          since: {
+            type: 'string',
+            format: 'date-time',
+            description: 'Only events received at or after this time'
+          },
+          after_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'next_after_id from a previous call; returns only newer events'
+          },
+          reservation_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'Only events about this reservation'
+          },
+          listing_id: {
+            type: 'string',
+            minLength: 1,
+            description: 'Only events about this listing'
+          },
+          limit: {
+            type: 'integer',
+            minimum: 1,
+            maximum: 200,
+            description: 'Max events to return (default: 50)'
+          }
+        }
+      }
+    }
+  ],
+};
+
+//--------------------------------------------------
+// Input validation (JSON Schema subset driven by MCP_MANIFEST)
+//--------------------------------------------------
+
+const FORMATS = {
+  date: {
+    // Round-trip through Date so 2024-02-30 is rejected
+    test: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(v).toISOString().startsWith(v),
+    message: 'must be a date in YYYY-MM-DD format',
+  },
+  'date-time': {
+    test: (v) => /^\d{4}-\d{2}-\d{2}(T[\d:.]+(Z|[+-]\d{2}:\d{2})?)?$/.test(v) && !Number.isNaN(Date.parse(v)),
+    message: 'must be a date (YYYY-MM-DD) or ISO 8601 timestamp',
+  },
+  email: {
+    test: (v) => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(v),
+    message: 'must be a valid email address',
+  },
+};
+
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer': return Number.isInteger(value);
+    case 'number': return typeof value === 'number' && Number.isFinite(value);
+    case 'array': return Array.isArray(value);
+    case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'null': return value === null;
+    default: return typeof value === type;
+  }
+}
+
+// Collects every violation rather than stopping at the first one
+function validateSchema(schema, value, path = '$', errors = []) {
+  const types = [].concat(schema.type || []);
+  if (types.length > 0 && !types.some((t) => matchesType(value, t))) {
+    errors.push({ path, message: `must be of type ${types.join(' | ')}` });
+    return errors;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push({ path, message: `must be at least ${schema.minLength} character(s) long` });
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push({ path, message: `must be at most ${schema.maxLength} characters long` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `must match pattern ${schema.pattern}` });
+    }
+    const format = FORMATS[schema.format];
+    if (format && !format.test(value)) errors.push({ path, message: format.message });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `must be >= ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `must be <= ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `must contain at least ${schema.minItems} item(s)` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `must contain at most ${schema.maxItems} items` });
+    }
+    if (schema.items) value.forEach((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, errors));
+  }
+
+  if (matchesType(value, 'object')) validateObject(schema, value, path, errors);
+
+  return errors;
+}
+
+function validateObject(schema, value, path, errors) {
+  const properties = schema.properties || {};
+
+  (schema.required || []).forEach((key) => {
+    if (value[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+  });
+
+  Object.entries(value).forEach(([key, child]) => {
+    const childPath = `${path}.${key}`;
+    const childSchema = properties[key];
+    if (!childSchema) {
+      if (schema.additionalProperties === false) errors.push({ path: childPath, message: 'is not an allowed property' });
+      return;
+    }
+    if (child === undefined) return;
+    validateSchema(childSchema, child, childPath, errors);
+
+    // Cross-field rules: 'x-after' / 'x-on-or-after': '<sibling>' compare this date to a sibling date
+    const after = childSchema['x-after'];
+    const onOrAfter = childSchema['x-on-or-after'];
+    const sibling = value[after || onOrAfter];
+    if (typeof child === 'string' && typeof sibling === 'string' && FORMATS.date.test(child) && FORMATS.date.test(sibling)) {
+      if (after && child <= sibling) errors.push({ path: childPath, message: `must be after ${after}` });
+      if (onOrAfter && child < sibling) errors.push({ path: childPath, message: `must not be before ${onOrAfter}` });
+    }
+  });
+
+  // anyOf is only used for "at least one of these fields" style rules
+  if (schema.anyOf && !schema.anyOf.some((sub) => validateSchema(sub, value, path).length === 0)) {
+    const alternatives = schema.anyOf.flatMap((sub) => sub.required || []);
+    errors.push({ path, message: `must include at least one of: ${alternatives.join(', ')}` });
+  }
+}
+
+// With several Guesty accounts every tool can be pointed at one of them
+if (ACCOUNTS.size > 1) {
+  MCP_MANIFEST.tools.forEach((tool) => {
+    tool.parameters.properties.account = {
+      type: 'string',
+      minLength: 1,
+      description: `Guesty account to use (default: the API key's account, else "${DEFAULT_ACCOUNT}")`,
+    };
+  });
+}
+
+const TOOL_DEFINITIONS = new Map(MCP_MANIFEST.tools.map((tool) => [tool.name, tool]));
+
+function validateToolParams(tool_name, tool_params) {
+  const errors = validateSchema(TOOL_DEFINITIONS.get(tool_name).parameters, tool_params);
+  if (errors.length > 0) throw new ValidationError(errors);
+}
+
+//--------------------------------------------------
+// Tool handler implementations
+//--------------------------------------------------
+
+// Re-labels an upstream 404 with the resource the caller actually asked for
+function rethrowNotFound(message) {
+  return (err) => {
+    if (err instanceof NotFoundError) err.message = message;
+    throw err;
+  };
+}
+
+function stringifyFilters(filters) {
+  if (!filters) return undefined;
+  return typeof filters === 'string' ? filters : JSON.stringify(filters);
+}
+
+async function listProperties(params = {}, context = {}) {
+  return listPaged('list_properties', ENDPOINTS.LISTINGS, params, context);
+}
+
+async function getProperty({ property_id, fields }) {
+  const query = fields ? { fields } : undefined;
+  logger.debug('Fetching property', { property_id });
+  return guesty.get(`${ENDPOINTS.LISTINGS}/${property_id}`, query)
+    .catch(rethrowNotFound('Property not found'));
+}
+
+async function checkAvailability({ property_id, check_in, check_out, min_occupancy, fields }) {
+  const availableParams = {
+    checkIn: check_in,
+    checkOut: check_out,
+  };
+  if (min_occupancy) availableParams.minOccupancy = min_occupancy;
+
+  const query = {
+    available: JSON.stringify(availableParams),
+  };
+  if (property_id) query.ids = property_id;
+  if (fields) query.fields = fields;
+
+  logger.debug('Checking availability', { check_in, check_out });
+  return guesty.get(ENDPOINTS.LISTINGS, query);
+}
+
+async function listReservations(params = {}, context = {}) {
+  return listPaged('list_reservations', ENDPOINTS.RESERVATIONS, params, context);
+}
+
+async function getReservation({ reservation_id, fields }) {
+  const query = fields ? { fields } : undefined;
+  logger.debug('Fetching reservation', { reservation_id });
+  return guesty.get(`${ENDPOINTS.RESERVATIONS}/${reservation_id}`, query)
+    .catch(rethrowNotFound('Reservation not found'));
+}
+
+async function createReservation({ listing_id, check_in_date, check_out_date, guest_id, guest_data, status = 'inquiry' }) {
+  const reservation = {
+    listingId: listing_id,
+    checkInDate: check_in_date,
+    checkOutDate: check_out_date,
+    status,
+  };
+
+  logger.debug('Creating reservation', { listing_id });
   
-  const query = { ...params, filters: stringifyFilters(params.filters) };
-  console.log(`[listReservations] Querying reservations with params: ${JSON.stringify(query)}`);
-  return guesty.get(ENDPOINTS.RESERVATIONS, query);
+  try {
+    if (guest_id) {
+      reservation.guestId = guest_id;
+    } else if (guest_data) {
+      const guest = await resolveGuest(guest_data);
+      reservation.guestId = guest._id;
+    }
+  
+    return await guesty.post(ENDPOINTS.RESERVATIONS, reservation);
+  } catch (err) {
+    // Guesty's 404 body may be a string or an object – search it either way
+    const upstreamBody = JSON.stringify(err.details ?? '').toLowerCase();
+    if (err instanceof NotFoundError && upstreamBody.includes('listing')) {
+      err.message = 'Listing not found';
+    } else if (err instanceof NotFoundError && upstreamBody.includes('guest')) {
+      err.message = 'Guest not found';
+    } else if (err instanceof ConflictError) {
+      err.message = 'Property is not available for the specified dates – find_alternatives can suggest other dates or properties';
+    }
+    throw err;
+  }
+}
+
+//--------------------------------------------------
+// Cursor pagination for list tools
+//--------------------------------------------------
+
+const DEFAULT_PAGE_SIZE = 100;
+// Hidden on list results: (kept) → cursor resuming after the first `kept` items, for the size budget
+const PAGE_RESUME = Symbol('pageResume');
+
+// Opaque to clients: base64url JSON carrying the tool, query and offset to resume from
+function encodeCursor(tool, query, skip, pageSize) {
+  return Buffer.from(JSON.stringify({ t: tool, q: query, s: skip, n: pageSize })).toString('base64url');
+}
+
+function decodeCursor(cursor, tool) {
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch {
+    state = null;
+  }
+  // Cursors come back from clients – only accept what the tool's own arguments could have produced
+  const queryKeys = cursorQueryKeys(tool);
+  const validQuery = state?.q && typeof state.q === 'object' && !Array.isArray(state.q)
+    && Object.entries(state.q).every(([key, value]) => queryKeys.includes(key) && ['string', 'number', 'boolean', 'undefined'].includes(typeof value));
+  if (!state || state.t !== tool || !validQuery
+    || !Number.isInteger(state.s) || state.s < 0
+    || !Number.isInteger(state.n) || state.n < 1 || state.n > PAGINATION_MAX_ITEMS) {
+    throw new ValidationError([{ path: '$.cursor', message: `is not a valid ${tool} cursor` }]);
+  }
+  return state;
+}
+
+// Paging arguments live in the cursor itself; everything else may be carried in q
+function cursorQueryKeys(tool) {
+  const properties = TOOL_DEFINITIONS.get(tool)?.parameters.properties ?? {};
+  return Object.keys(properties).filter((key) => !['cursor', 'fetch_all', 'limit', 'skip'].includes(key));
+}
+
+// Streams pages from Guesty until one page is returned (or, with fetch_all, until the
+// item / byte cap is hit) and hands back a cursor for whatever is left
+async function listPaged(tool, url, { cursor, fetch_all = false, limit, skip = 0, ...params }, context = {}) {
+  const state = cursor
+    ? decodeCursor(cursor, tool)
+    : { q: { ...params, filters: stringifyFilters(params.filters) }, s: skip, n: Math.min(limit || DEFAULT_PAGE_SIZE, PAGINATION_MAX_ITEMS) };
+
+  logger.debug('Listing', { tool, url, skip: state.s });
+
+  const results = [];
+  let bytes = 0;
+  let offset = state.s;
+  let total = null;
+  let done = false;
+  let truncated = false;
+
+  for await (const page of guesty.paginate(url, state.q, { skip: state.s, pageSize: state.n })) {
+    total = page.count ?? total;
+    const pageStart = results.length;
+
+    for (const item of page.results) {
+      const size = Buffer.byteLength(JSON.stringify(item));
+      if (results.length >= PAGINATION_MAX_ITEMS || (results.length > 0 && bytes + size > PAGINATION_MAX_BYTES)) {
+        truncated = true;
+        break;
+      }
+      results.push(item);
+      bytes += size;
+      offset += 1;
+    }
+
+    done = page.last && !truncated;
+    // With fetch_all each page goes out with its progress event, so clients can start on it early
+    const pageItems = results.slice(pageStart);
+    const meta = fetch_all ? { page: { skip: state.s + pageStart, results: context.projectPage?.(pageItems) ?? pageItems } } : undefined;
+    reportProgress(context, results.length, total !== null ? total - state.s : null, `Fetched ${results.length} results`, meta);
+    if (truncated || !fetch_all) break;
+  }
+
+  return {
+    results,
+    count: total,
+    returned: results.length,
+    truncated,
+    next_cursor: done ? null : encodeCursor(tool, state.q, offset, state.n),
+    [PAGE_RESUME]: (kept) => encodeCursor(tool, state.q, state.s + kept, state.n),
+  };
+}
+
+//--------------------------------------------------
+// Reservation lifecycle
+//--------------------------------------------------
+
+// Allowed status moves; anything missing here (declined, expired, …) is terminal
+const RESERVATION_TRANSITIONS = {
+  inquiry: ['pending', 'confirmed', 'canceled'],
+  pending: ['confirmed', 'canceled'],
+  reserved: ['confirmed', 'canceled'],
+  confirmed: ['canceled'],
+  canceled: [],
+};
+
+function assertStatusTransition(reservation, to) {
+  const from = reservation.status;
+  // Canceling twice would overwrite the original cancellation reason
+  if (from === 'canceled' && to === 'canceled') {
+    throw new ConflictError('Reservation is already canceled', { code: 'INVALID_STATUS_TRANSITION', details: { from, to, allowed: [] } });
+  }
+  if (from === to) return;
+  if (!(RESERVATION_TRANSITIONS[from] || []).includes(to)) {
+    throw new ConflictError(`Cannot change reservation status from ${from} to ${to}`, {
+      code: 'INVALID_STATUS_TRANSITION',
+      details: { from, to, allowed: RESERVATION_TRANSITIONS[from] || [] },
+    });
+  }
+}
+
+// Guesty returns dates in a few shapes depending on the reservation source
+function reservationDates(reservation) {
+  return {
+    checkIn: reservation.checkInDateLocalized || reservation.checkInDate || reservation.checkIn?.slice(0, 10),
+    checkOut: reservation.checkOutDateLocalized || reservation.checkOutDate || reservation.checkOut?.slice(0, 10),
+  };
+}
+
+// Date ranges in [from, to) the new stay needs that the current stay doesn't already hold
+function uncoveredRanges(current, next) {
+  if (next.checkOut <= current.checkIn || next.checkIn >= current.checkOut) return [next];
+  const ranges = [];
+  if (next.checkIn < current.checkIn) ranges.push({ checkIn: next.checkIn, checkOut: current.checkIn });
+  if (next.checkOut > current.checkOut) ranges.push({ checkIn: current.checkOut, checkOut: next.checkOut });
+  return ranges;
+}
+
+async function isListingAvailable(listingId, checkIn, checkOut) {
+  const page = await checkAvailability({ property_id: listingId, check_in: checkIn, check_out: checkOut });
+  const listings = page.results ?? page;
+  return listings.some((listing) => listing._id === listingId);
+}
+
+function diffFields(before, after, fields) {
+  const diff = {};
+  fields.forEach((field) => {
+    if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+      diff[field] = { before: before[field] ?? null, after: after[field] ?? null };
+    }
+  });
+  return diff;
+}
+
+// Fetch → build payload from the current state → PUT → diff
+async function applyReservationUpdate(reservation_id, buildPayload) {
+  return withoutCache(async () => {
+    const fetched = await getReservation({ reservation_id });
+    const { checkIn, checkOut } = reservationDates(fetched);
+    const before = { ...fetched, checkInDate: checkIn, checkOutDate: checkOut };
+    const payload = await buildPayload(before);
+
+    const updated = await guesty.put(`${ENDPOINTS.RESERVATIONS}/${reservation_id}`, payload)
+      .catch(rethrowNotFound('Reservation not found'));
+    // Not every field is echoed back by Guesty – fall back to what we sent
+    const after = { ...before, ...payload, ...updated };
+
+    return { reservation: after, diff: diffFields(before, after, Object.keys(payload)) };
+  });
+}
+
+async function updateReservation({ reservation_id, status, guests_count, planned_arrival, planned_departure, notes }) {
+  logger.debug('Updating reservation', { reservation_id });
+  return applyReservationUpdate(reservation_id, (before) => {
+    const payload = {};
+    if (status !== undefined) {
+      assertStatusTransition(before, status);
+      payload.status = status;
+    }
+    if (guests_count !== undefined) payload.guestsCount = guests_count;
+    if (planned_arrival !== undefined) payload.plannedArrival = planned_arrival;
+    if (planned_departure !== undefined) payload.plannedDeparture = planned_departure;
+    if (notes !== undefined) payload.notes = { ...before.notes, other: notes };
+    return payload;
+  });
+}
+
+async function changeReservationDates({ reservation_id, check_in_date, check_out_date }) {
+  logger.debug('Moving reservation', { reservation_id, check_in_date, check_out_date });
+  return applyReservationUpdate(reservation_id, async (before) => {
+    if (!(RESERVATION_TRANSITIONS[before.status] || []).length) {
+      throw new ConflictError(`Cannot change dates of a ${before.status} reservation`, { code: 'INVALID_STATUS_TRANSITION' });
+    }
+
+    // Nights the reservation already holds would show as unavailable – only check the new ones
+    const ranges = uncoveredRanges(reservationDates(before), { checkIn: check_in_date, checkOut: check_out_date });
+    for (const range of ranges) {
+      if (!(await isListingAvailable(before.listingId, range.checkIn, range.checkOut))) {
+        throw new ConflictError(`Property is not available from ${range.checkIn} to ${range.checkOut}`, {
+          details: { listing_id: before.listingId, ...range },
+        });
+      }
+    }
+
+    return { checkInDate: check_in_date, checkOutDate: check_out_date };
+  });
+}
+
+async function cancelReservation({ reservation_id, reason }) {
+  logger.debug('Canceling reservation', { reservation_id });
+  return applyReservationUpdate(reservation_id, (before) => {
+    assertStatusTransition(before, 'canceled');
+    return { status: 'canceled', cancellationReason: reason };
+  });
+}
+
+async function confirmReservation({ reservation_id }) {
+  logger.debug('Confirming reservation', { reservation_id });
+  return applyReservationUpdate(reservation_id, (before) => {
+    if (!['inquiry', 'pending', 'reserved'].includes(before.status)) {
+      throw new ConflictError(`Only inquiry or pending reservations can be confirmed (current: ${before.status})`, {
+        code: 'INVALID_STATUS_TRANSITION',
+      });
+    }
+    return { status: 'confirmed' };
+  });
+}
+
+//--------------------------------------------------
+// Calendar & pricing
+//--------------------------------------------------
+
+function addDays(date, days) {
+  const d = new Date(`${date}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Every night of a stay – check-in inclusive, check-out exclusive
+function eachNight(checkIn, checkOut) {
+  const nights = [];
+  for (let date = checkIn; date < checkOut; date = addDays(date, 1)) nights.push(date);
+  return nights;
+}
+
+function roundMoney(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+function normalizeCalendarDay(day) {
+  return {
+    date: day.date,
+    available: day.status === 'available',
+    status: day.status,
+    price: day.price ?? null,
+    currency: day.currency ?? null,
+    min_nights: day.minNights ?? null,
+    reservation_id: day.reservationId ?? day.reservation?._id ?? null,
+    note: day.note ?? null,
+  };
+}
+
+async function fetchCalendarDays(property_id, start_date, end_date) {
+  const response = await guesty.get(`${ENDPOINTS.CALENDAR}/${property_id}`, { startDate: start_date, endDate: end_date })
+    .catch(rethrowNotFound('Property not found'));
+  const days = response.data?.days ?? response.days ?? response;
+  return days.map(normalizeCalendarDay);
+}
+
+async function getCalendar({ property_id, start_date, end_date }) {
+  logger.debug('Fetching calendar', { property_id, start_date, end_date });
+  const days = await fetchCalendarDays(property_id, start_date, end_date);
+  return { property_id, start_date, end_date, days };
+}
+
+async function updateCalendar({ property_id, start_date, end_date, status, price, min_nights, note }) {
+  const payload = { startDate: start_date, endDate: end_date };
+  if (status !== undefined) payload.status = status;
+  if (price !== undefined) payload.price = price;
+  if (min_nights !== undefined) payload.minNights = min_nights;
+  if (note !== undefined) payload.note = note;
+
+  logger.debug('Updating calendar', { property_id, start_date, end_date });
+  await guesty.put(`${ENDPOINTS.CALENDAR}/${property_id}`, payload)
+    .catch(rethrowNotFound('Property not found'));
+
+  // Read back so the caller sees what Guesty actually applied
+  return getCalendar({ property_id, start_date, end_date });
+}
+
+// Guesty taxes: { type, amount, units: PERCENTAGE|FIXED, quantifier: PER_STAY|PER_NIGHT|PER_GUEST|PER_GUEST_PER_NIGHT }
+function computeTax(tax, { accommodation, fees, nights, guests }) {
+  if (tax.units === 'PERCENTAGE') {
+    const base = accommodation + (tax.appliedToAllFees ? fees : 0);
+    return base * (tax.amount / 100);
+  }
+  const multiplier = {
+    PER_NIGHT: nights,
+    PER_GUEST: guests,
+    PER_GUEST_PER_NIGHT: guests * nights,
+  }[tax.quantifier] ?? 1;
+  return tax.amount * multiplier;
+}
+
+async function getQuote({ property_id, check_in, check_out, guests_count }) {
+  logger.debug('Quoting stay', { property_id, check_in, check_out, guests_count });
+  const nights = eachNight(check_in, check_out);
+  const [listing, days] = await Promise.all([
+    getProperty({ property_id }),
+    fetchCalendarDays(property_id, check_in, addDays(check_out, -1)),
+  ]);
+
+  const prices = listing.prices || {};
+  const byDate = new Map(days.map((day) => [day.date, day]));
+  const issues = [];
+
+  const nightly = nights.map((date) => {
+    const day = byDate.get(date);
+    if (day && !day.available) issues.push(`${date} is not available`);
+    return { date, price: day?.price ?? prices.basePrice ?? 0 };
+  });
+
+  const minNights = byDate.get(check_in)?.min_nights ?? listing.terms?.minNights;
+  if (minNights && nights.length < minNights) issues.push(`minimum stay is ${minNights} nights`);
+  if (listing.accommodates && guests_count > listing.accommodates) {
+    issues.push(`property accommodates at most ${listing.accommodates} guests`);
+  }
+
+  const accommodation = nightly.reduce((sum, night) => sum + night.price, 0);
+  const cleaningFee = prices.cleaningFee || 0;
+  const extraGuests = Math.max(0, guests_count - (prices.guestsIncludedInRegularFee || guests_count));
+  const extraGuestFee = (prices.extraPersonFee || 0) * extraGuests * nights.length;
+  const fees = cleaningFee + extraGuestFee;
+
+  const taxContext = { accommodation, fees, nights: nights.length, guests: guests_count };
+  const taxes = (listing.taxes || []).map((tax) => ({
+    type: tax.type || tax.name || 'TAX',
+    amount: roundMoney(computeTax(tax, taxContext)),
+  }));
+  const taxesTotal = taxes.reduce((sum, tax) => sum + tax.amount, 0);
+
+  return {
+    property_id,
+    check_in,
+    check_out,
+    guests_count,
+    nights: nights.length,
+    currency: prices.currency || days[0]?.currency || null,
+    bookable: issues.length === 0,
+    issues,
+    breakdown: {
+      nightly,
+      accommodation: roundMoney(accommodation),
+      cleaning_fee: roundMoney(cleaningFee),
+      extra_guest_fee: roundMoney(extraGuestFee),
+      fees_total: roundMoney(fees),
+      taxes,
+      taxes_total: roundMoney(taxesTotal),
+    },
+    total: roundMoney(accommodation + fees + taxesTotal),
+  };
+}
+
+//--------------------------------------------------
+// Guest management & duplicate detection
+//--------------------------------------------------
+
+const GUEST_FIELD_MAP = {
+  first_name: 'firstName',
+  last_name: 'lastName',
+  email: 'email',
+  phone: 'phone',
+  notes: 'notes',
+};
+
+function toGuestPayload(params) {
+  const payload = {};
+  Object.entries(GUEST_FIELD_MAP).forEach(([param, field]) => {
+    if (params[param] !== undefined) payload[field] = params[param];
+  });
+  return payload;
+}
+
+function normalizeEmail(email) {
+  return typeof email === 'string' ? email.trim().toLowerCase() : '';
+}
+
+// Country calling code assumed for numbers written without "+" or "00" (e.g. "1", "44")
+const DEFAULT_PHONE_COUNTRY_CODE = (process.env.DEFAULT_PHONE_COUNTRY_CODE ?? '').replace(/\D/g, '');
+
+// E.164 digits without the "+"; national numbers only get a country code when a default is set
+function normalizePhone(phone) {
+  if (typeof phone !== 'string') return '';
+  const trimmed = phone.trim();
+  const digits = trimmed.replace(/\D/g, '');
+  if (!digits) return '';
+  if (trimmed.startsWith('+')) return digits;
+  if (digits.startsWith('00')) return digits.slice(2);
+  return DEFAULT_PHONE_COUNTRY_CODE ? DEFAULT_PHONE_COUNTRY_CODE + digits.replace(/^0/, '') : digits;
+}
+
+// Exact only – a suffix match would let a short local number claim a longer foreign one
+function phonesMatch(a, b) {
+  return a.length > 0 && a === b;
+}
+
+function guestEmails(guest) {
+  return [guest.email, ...(guest.emails || [])].map(normalizeEmail).filter(Boolean);
+}
+
+function guestPhones(guest) {
+  return [guest.phone, ...(guest.phones || [])].map(normalizePhone).filter(Boolean);
+}
+
+async function queryGuests(q, limit) {
+  const page = await guesty.get(ENDPOINTS.GUESTS, { q, limit });
+  return page.results ?? page;
+}
+
+async function searchGuests({ email, phone, name, limit = 25 }) {
+  logger.debug('Searching guests');
+  const candidates = await queryGuests(email || phone || name, Math.max(limit, 25));
+
+  // Guesty's q is a fuzzy match – narrow it down to what was actually asked for
+  const wantedEmail = normalizeEmail(email);
+  const wantedPhone = normalizePhone(phone);
+  const wantedName = name?.trim().toLowerCase();
+  const results = candidates
+    .filter((guest) => !wantedEmail || guestEmails(guest).includes(wantedEmail))
+    .filter((guest) => !wantedPhone || guestPhones(guest).some((p) => phonesMatch(p, wantedPhone)))
+    .filter((guest) => !wantedName || [guest.fullName, `${guest.firstName || ''} ${guest.lastName || ''}`]
+      .some((n) => n?.toLowerCase().includes(wantedName)))
+    .slice(0, limit);
+
+  return { count: results.length, results };
+}
+
+// Returns { guest, matched_on } for the first guest sharing the email or phone, or null
+async function findDuplicateGuest({ email, phone }) {
+  if (email) {
+    const { results } = await searchGuests({ email, limit: 1 });
+    if (results.length > 0) return { guest: results[0], matched_on: 'email' };
+  }
+  if (phone) {
+    const { results } = await searchGuests({ phone, limit: 1 });
+    if (results.length > 0) return { guest: results[0], matched_on: 'phone' };
+  }
+  return null;
+}
+
+// Copies fields the existing guest is missing; never overwrites what Guesty already has
+async function mergeIntoGuest(existing, guestData) {
+  const missing = {};
+  Object.entries(guestData).forEach(([field, value]) => {
+    if (value !== undefined && value !== null && value !== '' && !existing[field]) missing[field] = value;
+  });
+  if (Object.keys(missing).length === 0) return existing;
+
+  logger.debug('Filling missing guest fields', { guest_id: existing._id, fields: Object.keys(missing) });
+  return guesty.put(`${ENDPOINTS.GUESTS}/${existing._id}`, missing);
+}
+
+// Reuses an existing guest when email / phone match, otherwise creates one
+async function resolveGuest(guestData) {
+  const duplicate = await findDuplicateGuest(guestData);
+  if (duplicate) {
+    logger.debug('Reusing existing guest', { guest_id: duplicate.guest._id, matched_on: duplicate.matched_on });
+    const merged = await mergeIntoGuest(duplicate.guest, guestData);
+    return { ...duplicate.guest, ...merged };
+  }
+
+  logger.debug('Creating new guest');
+  return guesty.post(ENDPOINTS.GUESTS, guestData);
+}
+
+async function getGuest({ guest_id, fields }) {
+  const query = fields ? { fields } : undefined;
+  logger.debug('Fetching guest', { guest_id });
+  return guesty.get(`${ENDPOINTS.GUESTS}/${guest_id}`, query)
+    .catch(rethrowNotFound('Guest not found'));
+}
+
+async function createGuest({ allow_duplicate = false, ...params }) {
+  const guestData = toGuestPayload(params);
+
+  if (!allow_duplicate) {
+    const duplicate = await findDuplicateGuest(guestData);
+    if (duplicate) {
+      const guest = await mergeIntoGuest(duplicate.guest, guestData);
+      return { created: false, matched_on: duplicate.matched_on, guest: { ...duplicate.guest, ...guest } };
+    }
+  }
+
+  logger.debug('Creating new guest');
+  const guest = await guesty.post(ENDPOINTS.GUESTS, guestData);
+  return { created: true, matched_on: null, guest };
+}
+
+async function updateGuest({ guest_id, ...params }) {
+  logger.debug('Updating guest', { guest_id });
+  return guesty.put(`${ENDPOINTS.GUESTS}/${guest_id}`, toGuestPayload(params))
+    .catch(rethrowNotFound('Guest not found'));
+}
+
+// Guesty's Open API has no merge endpoint: copy what the kept guest is missing, collect both
+// guests' emails / phones on it and re-point the duplicate's reservations
+async function mergeGuests({ guest_id, duplicate_guest_id }) {
+  if (guest_id === duplicate_guest_id) {
+    throw new ValidationError([{ path: '$.duplicate_guest_id', message: 'must differ from guest_id' }]);
+  }
+  logger.debug('Merging guests', { guest_id, duplicate_guest_id });
+  const [guest, duplicate] = await Promise.all([
+    getGuest({ guest_id }),
+    getGuest({ guest_id: duplicate_guest_id }).catch(rethrowNotFound('Duplicate guest not found')),
+  ]);
+
+  const update = {};
+  Object.values(GUEST_FIELD_MAP).forEach((field) => {
+    if (duplicate[field] && !guest[field]) update[field] = duplicate[field];
+  });
+  // The duplicate's other addresses stay findable by duplicate detection
+  const extraEmails = [duplicate.email, ...(duplicate.emails || [])]
+    .filter((email) => email && email !== update.email && !guestEmails(guest).includes(normalizeEmail(email)));
+  const extraPhones = [duplicate.phone, ...(duplicate.phones || [])]
+    .filter((phone) => phone && phone !== update.phone && !guestPhones(guest).some((p) => phonesMatch(p, normalizePhone(phone))));
+  if (extraEmails.length > 0) update.emails = [...new Set([...(guest.emails || []), ...extraEmails])];
+  if (extraPhones.length > 0) update.phones = [...new Set([...(guest.phones || []), ...extraPhones])];
+  const merged = Object.keys(update).length > 0 ? await guesty.put(`${ENDPOINTS.GUESTS}/${guest_id}`, update) : guest;
+
+  const filters = JSON.stringify([{ field: 'guestId', operator: '$eq', value: duplicate_guest_id }]);
+  const reservations = (await guesty.listAll(ENDPOINTS.RESERVATIONS, { filters, fields: '_id guestId' }))
+    .filter((reservation) => reservation.guestId === duplicate_guest_id);
+  // One at a time: a failure part-way leaves the rest on the duplicate, and a retry picks them up
+  for (const reservation of reservations) {
+    await guesty.put(`${ENDPOINTS.RESERVATIONS}/${reservation._id}`, { guestId: guest_id });
+  }
+
+  return {
+    guest: { ...guest, ...merged },
+    duplicate_guest_id,
+    fields_copied: Object.keys(update),
+    reservations_moved: reservations.map((reservation) => reservation._id),
+  };
+}
+
+//--------------------------------------------------
+// Conversations, channels & message templates
+//--------------------------------------------------
+
+const DEFAULT_MESSAGE_SUBJECT = 'Message from Property Manager';
+const DOOR_CODE_FIELD_ID = process.env.DOOR_CODE_FIELD_ID;
+
+// Airbnb threads take their own module type; every other OTA goes through 'platform'
+const AIRBNB_PLATFORMS = ['airbnb', 'airbnb2'];
+
+const BUILT_IN_TEMPLATES = {
+  check_in_instructions: {
+    description: 'Arrival details with address, check-in time and door code',
+    subject: 'Your stay at {{listing_name}}',
+    body: 'Hi {{guest_first_name}},\n\nWe look forward to welcoming you on {{check_in_date}}. Check-in is from {{check_in_time}} at {{listing_address}}, and your door code is {{door_code}}.\n\nSafe travels!',
+  },
+  checkout_reminder: {
+    description: 'Reminder of the checkout date and time',
+    subject: 'Checkout on {{check_out_date}}',
+    body: 'Hi {{guest_first_name}}, a quick reminder that checkout is on {{check_out_date}} by {{check_out_time}}. Thank you for staying at {{listing_name}}!',
+  },
+  booking_confirmation: {
+    description: 'Confirmation of dates and confirmation code',
+    subject: 'Reservation {{confirmation_code}} confirmed',
+    body: 'Hi {{guest_name}}, your stay at {{listing_name}} from {{check_in_date}} to {{check_out_date}} ({{nights}} nights) is confirmed. Your confirmation code is {{confirmation_code}}.',
+  },
+};
+
+// MESSAGE_TEMPLATES_FILE: { "<id>": { "subject"?, "body", "description"? } } – merged over the built-ins
+function loadMessageTemplates() {
+  const file = process.env.MESSAGE_TEMPLATES_FILE;
+  const custom = file ? JSON.parse(fs.readFileSync(file, 'utf8')) : {};
+  Object.entries(custom).forEach(([id, template]) => {
+    if (typeof template?.body !== 'string' || !template.body.trim()) throw new Error(`template ${id} has no body`);
+  });
+  return { ...BUILT_IN_TEMPLATES, ...custom };
+}
+
+let MESSAGE_TEMPLATES = BUILT_IN_TEMPLATES;
+try {
+  MESSAGE_TEMPLATES = loadMessageTemplates();
+} catch (err) {
+  logger.error('Invalid MESSAGE_TEMPLATES_FILE', { err });
+  process.exit(1);
+}
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+function templatePlaceholders(...texts) {
+  return [...new Set(texts.filter(Boolean).flatMap((text) => [...text.matchAll(PLACEHOLDER)].map((match) => match[1])))];
+}
+
+function listMessageTemplates() {
+  const templates = Object.entries(MESSAGE_TEMPLATES).map(([id, { description, subject, body }]) => ({
+    id,
+    description: description ?? null,
+    subject: subject ?? null,
+    body,
+    placeholders: templatePlaceholders(subject, body),
+  }));
+  return { templates };
+}
+
+function customFieldValue(doc, fieldId) {
+  return (doc?.customFields || []).find((field) => field.fieldId === fieldId || field._id === fieldId)?.value;
+}
+
+function listingAddress(listing) {
+  const address = listing.address || {};
+  return address.full || [address.street, address.city, address.country].filter(Boolean).join(', ') || undefined;
+}
+
+// Placeholder values from reservation & listing data; explicit variables win
+async function templateValues(reservation, guest, variables) {
+  const listing = reservation.listingId
+    ? await guesty.get(`${ENDPOINTS.LISTINGS}/${reservation.listingId}`).catch(rethrowNotFound('Listing not found'))
+    : {};
+  const { checkIn, checkOut } = reservationDates(reservation);
+  const fullName = guest.fullName || [guest.firstName, guest.lastName].filter(Boolean).join(' ');
+  const nights = checkIn && checkOut ? Math.round((Date.parse(checkOut) - Date.parse(checkIn)) / 86_400_000) : undefined;
+  const doorCode = DOOR_CODE_FIELD_ID && (customFieldValue(reservation, DOOR_CODE_FIELD_ID) ?? customFieldValue(listing, DOOR_CODE_FIELD_ID));
+
+  const values = {
+    guest_name: fullName || undefined,
+    guest_first_name: guest.firstName || fullName || undefined,
+    check_in_date: checkIn,
+    check_in_time: reservation.plannedArrival || listing.defaultCheckInTime,
+    check_out_date: checkOut,
+    check_out_time: reservation.plannedDeparture || listing.defaultCheckOutTime,
+    nights: reservation.nightsCount ?? nights,
+    confirmation_code: reservation.confirmationCode,
+    listing_name: listing.title || listing.nickname,
+    listing_address: listingAddress(listing),
+    door_code: doorCode,
+    ...variables,
+  };
+  return Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined && value !== null && value !== ''));
+}
+
+async function renderMessage({ subject, body }, reservation, guest, variables) {
+  const placeholders = templatePlaceholders(subject, body);
+  if (placeholders.length === 0) return { subject, body };
+
+  const values = await templateValues(reservation, guest, variables);
+  const missing = placeholders.filter((name) => !(name in values));
+  if (missing.length) {
+    throw new ValidationError(missing.map((name) => ({
+      path: `$.variables.${name}`,
+      message: `no value for {{${name}}} in the reservation or listing – pass it in variables`,
+    })));
+  }
+  const fill = (text) => text?.replace(PLACEHOLDER, (_, name) => String(values[name]));
+  return { subject: fill(subject), body: fill(body) };
+}
+
+// Channel → Guesty module type for the channels this reservation can be reached on
+function availableChannels(reservation, guest, conversation) {
+  const platform = String(reservation.integration?.platform || '').toLowerCase();
+  const channels = {};
+  if (platform && platform !== 'manual') channels.platform = AIRBNB_PLATFORMS.includes(platform) ? 'airbnb2' : 'platform';
+  if (guestEmails(guest).length) channels.email = 'email';
+  if (guestPhones(guest).length) channels.sms = 'sms';
+
+  // When the thread lists its modules, it is the authority on what can be sent
+  const modules = conversation?.availableModules?.map((module) => module.type ?? module);
+  if (modules?.length) {
+    Object.entries(channels).forEach(([channel, type]) => {
+      if (!modules.includes(type)) delete channels[channel];
+    });
+  }
+  return channels;
+}
+
+function channelOfModule(type) {
+  return type === 'email' || type === 'sms' ? type : 'platform';
+}
+
+async function findConversation(reservation_id) {
+  const filters = JSON.stringify([{ field: 'meta.reservations._id', operator: '$eq', value: reservation_id }]);
+  const page = await guesty.get(ENDPOINTS.CONVERSATIONS, { filters, limit: 1 });
+  return (page.results ?? page.data?.conversations ?? [])[0] ?? null;
+}
+
+async function loadMessagingContext(reservation_id) {
+  const reservation = await guesty.get(`${ENDPOINTS.RESERVATIONS}/${reservation_id}`)
+    .catch(rethrowNotFound('Reservation not found'));
+  if (!reservation || !reservation.guestId) {
+    throw new NotFoundError('Reservation or guest not found');
+  }
+  const [guest, conversation] = await Promise.all([
+    guesty.get(`${ENDPOINTS.GUESTS}/${reservation.guestId}`).catch(rethrowNotFound('Guest not found')),
+    findConversation(reservation_id),
+  ]);
+  return { reservation, guest, conversation, channels: availableChannels(reservation, guest, conversation) };
+}
+
+function normalizePost(post) {
+  return {
+    id: post._id,
+    direction: post.sentBy === 'guest' || post.type === 'fromGuest' ? 'incoming' : 'outgoing',
+    channel: channelOfModule(post.module?.type),
+    sent_at: post.sentAt ?? post.createdAt ?? null,
+    subject: post.subject ?? null,
+    body: post.body ?? '',
+  };
+}
+
+async function sendGuestMessage({ reservation_id, message, template, variables = {}, channel, subject, preview = false }) {
+  if (message !== undefined && template !== undefined) {
+    throw new ValidationError([{ path: '$.template', message: 'cannot be combined with message' }]);
+  }
+  const source = template === undefined ? { subject, body: message } : MESSAGE_TEMPLATES[template];
+  if (!source) {
+    throw new ValidationError([{ path: '$.template', message: `unknown template (available: ${Object.keys(MESSAGE_TEMPLATES).join(', ')})` }]);
+  }
+
+  logger.debug('Sending guest message', { reservation_id, channel, template });
+  const { reservation, guest, conversation, channels } = await loadMessagingContext(reservation_id);
+
+  const chosen = channel ?? MESSAGE_CHANNELS.find((name) => channels[name]);
+  if (!chosen || !channels[chosen]) {
+    const available = Object.keys(channels).join(', ') || 'none';
+    throw new ValidationError([{ path: '$.channel', message: `${chosen ?? 'no channel'} is not available for this reservation (available: ${available})` }]);
+  }
+  if (!conversation) {
+    throw new NotFoundError(`No conversation thread found for reservation ${reservation_id}`);
+  }
+
+  const rendered = await renderMessage({ subject: subject ?? source.subject, body: source.body }, reservation, guest, variables);
+  const payload = {
+    module: { type: channels[chosen] },
+    body: rendered.body,
+    ...(chosen === 'email' && { subject: rendered.subject || DEFAULT_MESSAGE_SUBJECT }),
+  };
+  const result = {
+    conversation_id: conversation._id,
+    channel: chosen,
+    channels_available: Object.keys(channels),
+    template: template ?? null,
+    subject: payload.subject ?? null,
+    body: payload.body,
+  };
+  if (preview) return { sent: false, preview: true, ...result };
+
+  const post = await guesty.post(`${ENDPOINTS.CONVERSATIONS}/${conversation._id}/send-message`, payload);
+  return { sent: true, ...result, post_id: post?._id ?? null };
+}
+
+async function getGuestMessages({ reservation_id, channel, limit }) {
+  logger.debug('Fetching guest messages', { reservation_id });
+  const { conversation, channels } = await loadMessagingContext(reservation_id);
+  if (!conversation) {
+    return { conversation_id: null, channels_available: Object.keys(channels), messages: [] };
+  }
+
+  const page = await guesty.get(`${ENDPOINTS.CONVERSATIONS}/${conversation._id}/posts`, limit ? { limit } : undefined);
+  const messages = (page.results ?? page.data?.posts ?? [])
+    .map(normalizePost)
+    .filter((post) => !channel || post.channel === channel)
+    .sort((a, b) => String(a.sent_at).localeCompare(String(b.sent_at)));
+  return { conversation_id: conversation._id, channels_available: Object.keys(channels), messages };
+}
+
+//--------------------------------------------------
+// Operational reports
+//--------------------------------------------------
+
+const REPORT_STATUSES = ['confirmed'];
+const REPORT_RESERVATION_FIELDS = [
+  '_id', 'listingId', 'status', 'source', 'confirmationCode', 'guestsCount', 'guest.fullName',
+  'checkIn', 'checkOut', 'checkInDateLocalized', 'checkOutDateLocalized', 'plannedArrival', 'plannedDeparture',
+  'money.currency', 'money.fareAccommodation', 'money.fareAccommodationAdjusted', 'money.hostPayout', 'money.balanceDue',
+].join(' ');
+
+const ARRIVAL_COLUMNS = [
+  'type', 'reservation_id', 'confirmation_code', 'listing_id', 'listing_name', 'guest_name', 'guests_count',
+  'check_in', 'check_out', 'nights', 'planned_time', 'status', 'source', 'balance_due', 'currency',
+];
+
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / 86_400_000);
+}
+
+// Stays with at least one night in [start, endExclusive). Guesty filters on UTC timestamps while
+// stays are in the listing's local dates, so fetch a day either side and trim locally.
+async function fetchStays(start, endExclusive, { listing_id, statuses }) {
+  const filters = [
+    { field: 'checkIn', operator: '$lt', value: addDays(endExclusive, 1) },
+    { field: 'checkOut', operator: '$gt', value: addDays(start, -1) },
+    { field: 'status', operator: '$in', value: statuses },
+  ];
+  if (listing_id) filters.push({ field: 'listingId', operator: '$eq', value: listing_id });
+
+  const reservations = await guesty.listAll(ENDPOINTS.RESERVATIONS, { filters: JSON.stringify(filters), fields: REPORT_RESERVATION_FIELDS });
+  return reservations
+    .map((reservation) => ({ reservation, ...reservationDates(reservation) }))
+    .filter(({ reservation, checkIn, checkOut }) => checkIn && checkOut && checkIn < endExclusive && checkOut > start
+      && statuses.includes(reservation.status) && (!listing_id || reservation.listingId === listing_id));
+}
+
+// Inactive listings are left out of portfolio reports unless they had stays in the range
+async function fetchReportListings(listing_id) {
+  const fields = '_id title nickname active prices.currency';
+  if (listing_id) return [await getProperty({ property_id: listing_id, fields })];
+  return guesty.listAll(ENDPOINTS.LISTINGS, { fields });
+}
+
+function listingName(listing) {
+  return listing?.title || listing?.nickname || null;
+}
+
+function nightsInside(stay, start, endExclusive) {
+  const from = stay.checkIn > start ? stay.checkIn : start;
+  const to = stay.checkOut < endExclusive ? stay.checkOut : endExclusive;
+  return Math.max(0, daysBetween(from, to));
+}
+
+// One row per listing, including listings without stays
+function reportRows(listings, stays, listing_id, init) {
+  const rows = new Map();
+  const add = (id, listing) => rows.set(id, { listing_id: id, listing_name: listingName(listing), ...init(listing) });
+  listings.filter((listing) => listing_id || listing.active !== false).forEach((listing) => add(listing._id, listing));
+  stays.forEach(({ reservation }) => {
+    if (!rows.has(reservation.listingId)) {
+      add(reservation.listingId, listings.find((listing) => listing._id === reservation.listingId));
+    }
+  });
+  return rows;
+}
+
+function percent(part, whole) {
+  return whole ? Math.round((part / whole) * 1000) / 10 : 0;
+}
+
+// Spreadsheet apps run cells starting with = + - @ as formulas – quote them as text
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(rows, columns) {
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => csvCell(row[column])).join(','))].join('\n');
+}
+
+async function getArrivalsDepartures({ date, listing_id, statuses = REPORT_STATUSES, format = 'json' }) {
+  logger.debug('Building arrivals & departures', { date, listing_id });
+  const [stays, listings] = await Promise.all([
+    fetchStays(addDays(date, -1), addDays(date, 1), { listing_id, statuses }),
+    fetchReportListings(listing_id),
+  ]);
+  const names = new Map(listings.map((listing) => [listing._id, listingName(listing)]));
+
+  const row = (type, { reservation, checkIn, checkOut }) => ({
+    type,
+    reservation_id: reservation._id,
+    confirmation_code: reservation.confirmationCode ?? null,
+    listing_id: reservation.listingId,
+    listing_name: names.get(reservation.listingId) ?? null,
+    guest_name: reservation.guest?.fullName ?? null,
+    guests_count: reservation.guestsCount ?? null,
+    check_in: checkIn,
+    check_out: checkOut,
+    nights: daysBetween(checkIn, checkOut),
+    planned_time: (type === 'arrival' ? reservation.plannedArrival : reservation.plannedDeparture) ?? null,
+    status: reservation.status,
+    source: reservation.source ?? null,
+    balance_due: reservation.money?.balanceDue ?? null,
+    currency: reservation.money?.currency ?? null,
+  });
+  const byTime = (a, b) => String(a.planned_time ?? '~').localeCompare(String(b.planned_time ?? '~'))
+    || String(a.listing_name).localeCompare(String(b.listing_name));
+
+  const arrivals = stays.filter((stay) => stay.checkIn === date).map((stay) => row('arrival', stay)).sort(byTime);
+  const departures = stays.filter((stay) => stay.checkOut === date).map((stay) => row('departure', stay)).sort(byTime);
+  const inHouse = stays.filter((stay) => stay.checkIn < date && stay.checkOut > date).length;
+
+  if (format === 'csv') return toCsv([...arrivals, ...departures], ARRIVAL_COLUMNS);
+  return {
+    date,
+    totals: { arrivals: arrivals.length, departures: departures.length, stayovers: inHouse },
+    arrivals,
+    departures,
+  };
+}
+
+async function getOccupancyReport({ start_date, end_date, listing_id, statuses = REPORT_STATUSES, format = 'json' }) {
+  logger.debug('Building occupancy report', { start_date, end_date, listing_id });
+  const endExclusive = addDays(end_date, 1);
+  const nightsInRange = daysBetween(start_date, endExclusive);
+  const [stays, listings] = await Promise.all([
+    fetchStays(start_date, endExclusive, { listing_id, statuses }),
+    fetchReportListings(listing_id),
+  ]);
+
+  const rows = reportRows(listings, stays, listing_id, () => ({ nights_available: nightsInRange, nights_booked: 0, reservations: 0 }));
+  stays.forEach((stay) => {
+    const row = rows.get(stay.reservation.listingId);
+    row.nights_booked += nightsInside(stay, start_date, endExclusive);
+    row.reservations += 1;
+  });
+
+  const result = [...rows.values()].map((row) => ({ ...row, occupancy_pct: percent(row.nights_booked, row.nights_available) }));
+  if (format === 'csv') return toCsv(result, ['listing_id', 'listing_name', 'nights_available', 'nights_booked', 'reservations', 'occupancy_pct']);
+
+  const available = result.reduce((sum, row) => sum + row.nights_available, 0);
+  const booked = result.reduce((sum, row) => sum + row.nights_booked, 0);
+  return {
+    start_date,
+    end_date,
+    statuses,
+    totals: {
+      listings: result.length,
+      nights_available: available,
+      nights_booked: booked,
+      reservations: stays.length,
+      occupancy_pct: percent(booked, available),
+    },
+    listings: result,
+  };
+}
+
+// A stay's accommodation fare and payout are spread evenly over its nights
+async function getRevenueReport({ start_date, end_date, listing_id, statuses = REPORT_STATUSES, format = 'json' }) {
+  logger.debug('Building revenue report', { start_date, end_date, listing_id });
+  const endExclusive = addDays(end_date, 1);
+  const nightsInRange = daysBetween(start_date, endExclusive);
+  const [stays, listings] = await Promise.all([
+    fetchStays(start_date, endExclusive, { listing_id, statuses }),
+    fetchReportListings(listing_id),
+  ]);
+
+  // Seeded from the listing so listings without stays still count towards their currency's totals
+  const rows = reportRows(listings, stays, listing_id, (listing) => ({
+    currency: listing?.prices?.currency ?? null, nights_available: nightsInRange, nights_sold: 0, accommodation_revenue: 0, host_payout: 0,
+  }));
+  stays.forEach((stay) => {
+    const { money = {} } = stay.reservation;
+    const nights = nightsInside(stay, start_date, endExclusive);
+    const stayNights = daysBetween(stay.checkIn, stay.checkOut);
+    // A zero-night stay (same-day booking, bad data) has no nights to spread its revenue over
+    const share = stayNights > 0 ? nights / stayNights : 0;
+    const row = rows.get(stay.reservation.listingId);
+    row.currency = row.currency ?? money.currency ?? null;
+    row.nights_sold += nights;
+    row.accommodation_revenue += (money.fareAccommodationAdjusted ?? money.fareAccommodation ?? 0) * share;
+    row.host_payout += (money.hostPayout ?? 0) * share;
+  });
+
+  const withRates = (row) => ({
+    ...row,
+    accommodation_revenue: roundMoney(row.accommodation_revenue),
+    host_payout: roundMoney(row.host_payout),
+    adr: row.nights_sold ? roundMoney(row.accommodation_revenue / row.nights_sold) : 0,
+    revpar: roundMoney(row.accommodation_revenue / row.nights_available),
+  });
+  const result = [...rows.values()].map(withRates);
+  if (format === 'csv') {
+    return toCsv(result, ['listing_id', 'listing_name', 'currency', 'nights_available', 'nights_sold', 'accommodation_revenue', 'host_payout', 'adr', 'revpar']);
+  }
+
+  // Money in different currencies is never added up
+  const totals = new Map();
+  [...rows.values()].filter((row) => row.currency).forEach((row) => {
+    const total = totals.get(row.currency) ?? { currency: row.currency, listings: 0, nights_available: 0, nights_sold: 0, accommodation_revenue: 0, host_payout: 0 };
+    total.listings += 1;
+    total.nights_available += row.nights_available;
+    total.nights_sold += row.nights_sold;
+    total.accommodation_revenue += row.accommodation_revenue;
+    total.host_payout += row.host_payout;
+    totals.set(row.currency, total);
+  });
+  return {
+    start_date,
+    end_date,
+    statuses,
+    totals: [...totals.values()].map(withRates),
+    listings: result,
+  };
+}
+
+//--------------------------------------------------
+// Alternatives for unavailable stays
+//--------------------------------------------------
+
+const ALTERNATIVE_LISTING_FIELDS = '_id title nickname accommodates bedrooms propertyType amenities address prices.basePrice prices.currency active';
+const SIMILAR_PRICE_RATIO = 0.2;
+
+function distanceKm(a, b) {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 6371 * 2 * Math.asin(Math.sqrt(h));
+}
+
+function hasCoordinates(listing) {
+  return Number.isFinite(listing.address?.lat) && Number.isFinite(listing.address?.lng);
 }
 
-async function getReservation({ reservation_id, fields }) {
-  // Input validation
-  if (!reservation_id) {
-    throw new Error('ValidationError: reservation_id is required');
-  }
-  
-  const query = fields ? { fields } : undefined;
-  console.log(`[getReservation] Fetching reservation: ${reservation_id}`);
-  return guesty.get(`${ENDPOINTS.RESERVATIONS}/${reservation_id}`, query)
-    .catch(err => {
-      if (err.response?.status === 404) {
-        throw new Error('NotFoundError: Reservation not found');
+function amenitySet(listing) {
+  return new Set((listing.amenities || []).map((amenity) => String(amenity).toLowerCase()));
+}
+
+// 0–100 with a reason for each point earned; null when the listing doesn't qualify
+function scoreAlternative(candidate, preferred, { max_distance_km, amenities = [] }) {
+  const reasons = [];
+  let score = 40;
+
+  const candidateAmenities = amenitySet(candidate);
+  const missing = amenities.filter((amenity) => !candidateAmenities.has(amenity.toLowerCase()));
+  if (missing.length) return null;
+  if (amenities.length) reasons.push(`Has ${amenities.join(', ')}`);
+
+  // Within max_distance_km when given, otherwise in the same city
+  const km = hasCoordinates(candidate) && hasCoordinates(preferred) ? distanceKm(candidate.address, preferred.address) : null;
+  const city = preferred.address?.city;
+  if (max_distance_km !== undefined) {
+    if (km === null || km > max_distance_km) return null;
+  } else {
+    if (!city || candidate.address?.city !== city) return null;
+    reasons.push(`Same city (${city})`);
+  }
+  if (km !== null) {
+    score += Math.max(0, 20 - km * 2);
+    reasons.push(`${km.toFixed(1)} km from ${listingName(preferred) ?? 'the requested property'}`);
+  }
+
+  if (candidate.accommodates) reasons.push(`Sleeps ${candidate.accommodates}`);
+  if (preferred.bedrooms && candidate.bedrooms >= preferred.bedrooms) {
+    score += 10;
+    reasons.push(`${candidate.bedrooms} bedrooms (requested property has ${preferred.bedrooms})`);
+  }
+  if (preferred.propertyType && candidate.propertyType === preferred.propertyType) {
+    score += 5;
+    reasons.push(`Same property type (${candidate.propertyType})`);
+  }
+
+  const preferredAmenities = amenitySet(preferred);
+  if (preferredAmenities.size) {
+    const shared = [...preferredAmenities].filter((amenity) => candidateAmenities.has(amenity)).length;
+    score += Math.round((shared / preferredAmenities.size) * 15);
+    reasons.push(`Shares ${shared} of ${preferredAmenities.size} amenities`);
+  }
+
+  const price = candidate.prices?.basePrice;
+  const preferredPrice = preferred.prices?.basePrice;
+  if (price && preferredPrice && Math.abs(price - preferredPrice) <= preferredPrice * SIMILAR_PRICE_RATIO) {
+    score += 10;
+    reasons.push(`Similar base price (${price} vs ${preferredPrice}${candidate.prices.currency ? ` ${candidate.prices.currency}` : ''})`);
+  }
+  return { score: Math.min(100, Math.round(score)), reasons };
+}
+
+// Preferred property with the whole stay moved by ±1…flex days, closest shifts first.
+// Returns { options, evaluated } – shifts into the past aren't checked or counted
+async function findDateShifts(preferred, check_in, check_out, guests_count, flex) {
+  const today = new Date().toISOString().slice(0, 10);
+  const shifts = [];
+  for (let days = 1; days <= flex; days += 1) shifts.push(-days, days);
+  const evaluated = shifts.filter((days) => days > 0 || addDays(check_in, days) >= today);
+
+  const results = await Promise.all(evaluated.map(async (days) => {
+    const shifted = { check_in: addDays(check_in, days), check_out: addDays(check_out, days) };
+    const available = await checkAvailability({ property_id: preferred._id, ...shifted, min_occupancy: guests_count });
+    if (!(available.results ?? available).some((listing) => listing._id === preferred._id)) return null;
+    return {
+      type: 'date_shift',
+      property_id: preferred._id,
+      title: listingName(preferred),
+      ...shifted,
+      score: 100 - Math.abs(days) * 10,
+      reasons: [`Same property, ${Math.abs(days)} day${Math.abs(days) === 1 ? '' : 's'} ${days < 0 ? 'earlier' : 'later'}`],
+    };
+  }));
+  return { options: results.filter(Boolean), evaluated: evaluated.length };
+}
+
+async function findAlternatives({ property_id, check_in, check_out, guests_count, date_flex_days = 2, max_distance_km, amenities, limit = 10 }) {
+  logger.debug('Finding alternatives', { property_id, check_in, check_out, guests_count });
+  const preferred = await getProperty({ property_id, fields: ALTERNATIVE_LISTING_FIELDS });
+
+  const [available, shifts] = await Promise.all([
+    guesty.listAll(ENDPOINTS.LISTINGS, {
+      available: JSON.stringify({ checkIn: check_in, checkOut: check_out, minOccupancy: guests_count }),
+      fields: ALTERNATIVE_LISTING_FIELDS,
+    }),
+    findDateShifts(preferred, check_in, check_out, guests_count, date_flex_days),
+  ]);
+
+  const requestedAvailable = available.some((listing) => listing._id === property_id);
+  const others = available
+    .filter((listing) => listing._id !== property_id && listing.active !== false)
+    .filter((listing) => !listing.accommodates || listing.accommodates >= guests_count)
+    .map((listing) => {
+      const match = scoreAlternative(listing, preferred, { max_distance_km, amenities });
+      return match && { type: 'other_property', property_id: listing._id, title: listingName(listing), check_in, check_out, ...match };
+    })
+    .filter(Boolean);
+
+  const options = [...shifts.options, ...others].sort((a, b) => b.score - a.score);
+  return {
+    requested: { property_id, title: listingName(preferred), check_in, check_out, guests_count, available: requestedAvailable },
+    options: options.slice(0, limit),
+    considered: { date_shifts: shifts.evaluated, other_properties: available.length - (requestedAvailable ? 1 : 0) },
+  };
+}
+
+//--------------------------------------------------
+// 7 · Tool dispatch
+//--------------------------------------------------
+
+// Every call – including rejected ones – ends up in the audit log
+async function callTool(tool_name, tool_params = {}, context = {}) {
+  const audit = { account: null, outcome: 'success', resources: [] };
+  const startedAt = Date.now();
+  try {
+    const result = await requestContext.run({ ...requestContext.getStore(), audit }, () => dispatchTool(tool_name, tool_params, context, audit));
+    recordAudit({ tool_name, tool_params, context, audit, startedAt });
+    observeToolCall(tool_name, audit, startedAt);
+    return result;
+  } catch (err) {
+    audit.outcome = 'error';
+    recordAudit({ tool_name, tool_params, context, audit, startedAt, error: err });
+    observeToolCall(tool_name, audit, startedAt, err);
+    throw err;
+  }
+}
+
+function observeToolCall(tool_name, audit, startedAt, err) {
+  const tool = TOOL_DEFINITIONS.has(tool_name) ? tool_name : 'unknown'; // client-supplied – keep label values bounded
+  const durationMs = Date.now() - startedAt;
+  METRICS.toolCalls.inc({ tool, outcome: audit.outcome });
+  METRICS.toolDuration.observe({ tool }, durationMs / 1000);
+
+  const fields = { tool: tool_name, outcome: audit.outcome, account: audit.account, duration_ms: durationMs };
+  if (!err) return logger.info('Tool call', fields);
+
+  const { type } = toErrorPayload(err);
+  METRICS.toolErrors.inc({ tool, type });
+  // Caller mistakes are warnings; server & upstream failures are errors
+  const level = err instanceof GuestyMcpError && err.status < 500 ? 'warn' : 'error';
+  return logger[level]('Tool call failed', { ...fields, err });
+}
+
+async function dispatchTool(tool_name, tool_params, context, audit) {
+  if (!TOOL_DEFINITIONS.has(tool_name)) throw new NotFoundError(`Unknown tool: ${tool_name}`, { code: 'UNKNOWN_TOOL' });
+  if (!isToolAllowed(context.client, tool_name)) {
+    throw new ForbiddenError(`API key "${context.client.name}" is not allowed to call ${tool_name}`);
+  }
+  validateToolParams(tool_name, tool_params);
+
+  const { no_cache: noCache = false, account: requestedAccount, idempotency_key, detail, markdown, ...params } = tool_params;
+  const account = resolveAccount(requestedAccount, context.client);
+  const store = { ...requestContext.getStore(), noCache, account: account.name };
+  audit.account = account.name;
+
+  if (requiresConfirmation(tool_name) && !context.confirmed) {
+    audit.outcome = 'preview';
+    return fitResponseBudget(await requestContext.run(store, () => previewTool(tool_name, tool_params, params, context)));
+  }
+
+  const run = (toolContext = context) => requestContext.run(store, () => runTool(tool_name, params, toolContext));
+  if (!isWriteTool(tool_name)) {
+    // A continued page keeps the projection it started with
+    const fields = params.fields ?? (params.cursor && RESULT_SHAPES[tool_name] ? decodeCursor(params.cursor, tool_name).q.fields : undefined);
+    const paths = projectionPaths(tool_name, { detail, fields });
+    const projectPage = (items) => (paths ? projectResult(items, paths) : items);
+    return shapeResult(tool_name, await run({ ...context, projectPage }), { detail, fields, markdown });
+  }
+  const key = idempotency_key ?? context.callId;
+  return fitResponseBudget(await (key ? withIdempotency({ tool_name, key, account: account.name, params, context }, run) : run()));
+}
+
+// Explicit `account` param, else the API key's own account, else the default
+function resolveAccount(requested, client) {
+  const name = requested || client?.account || DEFAULT_ACCOUNT;
+  if (!ACCOUNTS.has(name)) {
+    throw new ValidationError([{ path: '$.account', message: `is not a configured account: ${name}` }]);
+  }
+  if (!isAccountAllowed(client, name)) {
+    throw new ForbiddenError(`API key "${client.name}" is not allowed to use account ${name}`, { code: 'ACCOUNT_NOT_ALLOWED' });
+  }
+  return ACCOUNTS.get(name);
+}
+
+async function runTool(tool_name, tool_params, context) {
+  switch (tool_name) {
+    case 'list_properties':
+      return listProperties(tool_params, context);
+    case 'get_property':
+      return getProperty(tool_params, context);
+    case 'check_availability':
+      return checkAvailability(tool_params, context);
+    case 'find_alternatives':
+      return findAlternatives(tool_params, context);
+    case 'list_reservations':
+      return listReservations(tool_params, context);
+    case 'get_reservation':
+      return getReservation(tool_params, context);
+    case 'create_reservation':
+      return createReservation(tool_params, context);
+    case 'send_guest_message':
+      return sendGuestMessage(tool_params, context);
+    case 'get_guest_messages':
+      return getGuestMessages(tool_params, context);
+    case 'get_arrivals_departures':
+      return getArrivalsDepartures(tool_params, context);
+    case 'get_occupancy_report':
+      return getOccupancyReport(tool_params, context);
+    case 'get_revenue_report':
+      return getRevenueReport(tool_params, context);
+    case 'list_message_templates':
+      return listMessageTemplates(tool_params, context);
+    case 'search_guests':
+      return searchGuests(tool_params, context);
+    case 'get_guest':
+      return getGuest(tool_params, context);
+    case 'create_guest':
+      return createGuest(tool_params, context);
+    case 'update_guest':
+      return updateGuest(tool_params, context);
+    case 'merge_guests':
+      return mergeGuests(tool_params, context);
+    case 'update_reservation':
+      return updateReservation(tool_params, context);
+    case 'change_reservation_dates':
+      return changeReservationDates(tool_params, context);
+    case 'cancel_reservation':
+      return cancelReservation(tool_params, context);
+    case 'confirm_reservation':
+      return confirmReservation(tool_params, context);
+    case 'get_calendar':
+      return getCalendar(tool_params, context);
+    case 'update_calendar':
+      return updateCalendar(tool_params, context);
+    case 'get_quote':
+      return getQuote(tool_params, context);
+    case 'confirm_action':
+      return confirmAction(tool_params, context);
+    case 'batch_call':
+      return batchCall(tool_params, context);
+    case 'get_audit_log':
+      return getAuditLog(tool_params, context);
+    case 'list_recent_events':
+      return listRecentEvents(tool_params, context);
+    default:
+      throw new NotFoundError(`Unknown tool: ${tool_name}`, { code: 'UNKNOWN_TOOL' });
+  }
+}
+
+//--------------------------------------------------
+// Response shaping: projections, size budget & Markdown
+//--------------------------------------------------
+
+const RESPONSE_MAX_BYTES = Number(process.env.RESPONSE_MAX_BYTES) || 64 * 1024;
+const LONG_STRING_CHARS = 2000;
+const MARKDOWN_MAX_COLUMNS = 12;
+const MARKDOWN = Symbol('markdown'); // never serialized – toToolResult sends it as a second content block
+
+// Compact default views; photos, full pricing and integration blobs only come with detail: 'full'
+const SUMMARY_FIELDS = {
+  listing: [
+    '_id', 'title', 'nickname', 'active', 'propertyType', 'accommodates', 'bedrooms', 'bathrooms',
+    'address.full', 'address.city', 'address.country', 'prices.basePrice', 'prices.currency', 'prices.cleaningFee',
+    'defaultCheckInTime', 'defaultCheckOutTime', 'tags',
+  ],
+  reservation: [
+    '_id', 'confirmationCode', 'status', 'source', 'listingId', 'guestId', 'guest.fullName',
+    'checkInDateLocalized', 'checkOutDateLocalized', 'nightsCount', 'guestsCount', 'plannedArrival', 'plannedDeparture',
+    'money.currency', 'money.totalPaid', 'money.balanceDue', 'money.hostPayout', 'createdAt',
+  ],
+  guest: ['_id', 'fullName', 'firstName', 'lastName', 'email', 'phone', 'createdAt'],
+};
+
+// Tools whose results are Guesty documents, single or in `results`
+const RESULT_SHAPES = {
+  list_properties: 'listing',
+  get_property: 'listing',
+  check_availability: 'listing',
+  list_reservations: 'reservation',
+  get_reservation: 'reservation',
+  search_guests: 'guest',
+  get_guest: 'guest',
+};
+
+function byteSize(value) {
+  return Buffer.byteLength(typeof value === 'string' ? value : JSON.stringify(value ?? null));
+}
+
+function pickFields(doc, paths) {
+  if (!doc || typeof doc !== 'object') return doc;
+  const picked = {};
+  paths.forEach((path) => {
+    const keys = path.split('.');
+    const value = keys.reduce((node, key) => node?.[key], doc);
+    if (value === undefined) return;
+    let target = picked;
+    keys.slice(0, -1).forEach((key) => { target = target[key] ??= {}; });
+    target[keys.at(-1)] = value;
+  });
+  return picked;
+}
+
+// Applied here because Guesty ignores `fields` on some endpoints (and for cached / filtered results)
+function projectResult(result, paths) {
+  if (Array.isArray(result)) return result.map((doc) => pickFields(doc, paths));
+  if (Array.isArray(result?.results)) return { ...result, results: result.results.map((doc) => pickFields(doc, paths)) };
+  return pickFields(result, paths);
+}
+
+function truncateString(text, max) {
+  return text.length > max ? `${text.slice(0, max)}… [${text.length - max} more characters truncated]` : text;
+}
+
+function shortenStrings(value) {
+  if (typeof value === 'string') return truncateString(value, LONG_STRING_CHARS);
+  if (Array.isArray(value)) return value.map(shortenStrings);
+  if (value && typeof value === 'object') {
+    const shortened = Object.fromEntries(Object.entries(value).map(([key, child]) => [key, shortenStrings(child)]));
+    if (value[PAGE_RESUME]) shortened[PAGE_RESUME] = value[PAGE_RESUME];
+    return shortened;
+  }
+  return value;
+}
+
+// Also returns the object holding the array, so a list page's cursor can follow the cut
+function largestArray(value, found = { array: null, owner: null, bytes: 0 }, owner = null) {
+  if (Array.isArray(value)) {
+    const bytes = byteSize(value);
+    if (value.length > 1 && bytes > found.bytes) Object.assign(found, { array: value, owner, bytes });
+    value.forEach((item) => largestArray(item, found));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach((child) => largestArray(child, found, value));
+  }
+  return found;
+}
+
+// Long strings are cut first, then the largest arrays lose items from the end. Every cut leaves a
+// marker, except on list pages: their next_cursor is moved back to the first dropped item instead
+function fitResponseBudget(result, budget = RESPONSE_MAX_BYTES) {
+  const originalBytes = byteSize(result);
+  if (originalBytes <= budget) return result;
+  if (typeof result === 'string') return truncateString(result, Math.max(0, budget - 100));
+
+  const fitted = shortenStrings(result);
+  const omitted = new Map();
+  let size = byteSize(fitted);
+  while (size > budget) {
+    const { array, owner } = largestArray(fitted);
+    if (!array) break;
+    const itemBytes = byteSize(array) / array.length;
+    const drop = Math.min(array.length - 1, Math.ceil((size - budget) / itemBytes));
+    array.splice(array.length - drop, drop);
+    if (owner?.[PAGE_RESUME] && owner.results === array) {
+      Object.assign(owner, { returned: array.length, truncated: true, next_cursor: owner[PAGE_RESUME](array.length) });
+    } else {
+      omitted.set(array, (omitted.get(array) ?? 0) + drop);
+    }
+    size = byteSize(fitted);
+  }
+  omitted.forEach((count, array) => array.push(`… [${count} more items truncated]`));
+
+  const marker = {
+    original_bytes: originalBytes,
+    budget_bytes: budget,
+    hint: 'Narrow the request (fields, filters, a smaller limit) or page with the cursor to see the rest',
+  };
+  if (byteSize(fitted) > budget * 1.1) {
+    return { _truncated: marker, preview: truncateString(JSON.stringify(fitted), Math.max(0, budget - 1024)) };
+  }
+  return Array.isArray(fitted) ? fitted : { ...fitted, _truncated: marker };
+}
+
+function flattenForMarkdown(value, prefix = '', flat = {}) {
+  Object.entries(value ?? {}).forEach(([key, child]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (Array.isArray(child)) {
+      flat[path] = child.every((item) => item === null || typeof item !== 'object') ? child.join(', ') : `[${child.length} items]`;
+    } else if (child && typeof child === 'object') {
+      flattenForMarkdown(child, path, flat);
+    } else {
+      flat[path] = child;
+    }
+  });
+  return flat;
+}
+
+function markdownCell(value) {
+  if (value === null || value === undefined) return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+function renderMarkdown(tool_name, result) {
+  const items = Array.isArray(result) ? result : result?.results;
+  if (!Array.isArray(items)) {
+    const rows = Object.entries(flattenForMarkdown(result)).filter(([key]) => key !== '_truncated');
+    return [`### ${tool_name}`, '', ...rows.map(([key, value]) => `- **${key}**: ${markdownCell(value)}`)].join('\n');
+  }
+
+  const rows = items.filter((item) => item && typeof item === 'object').map((item) => flattenForMarkdown(item));
+  const columns = [...new Set(rows.flatMap(Object.keys))].slice(0, MARKDOWN_MAX_COLUMNS);
+  const total = result.count ?? items.length;
+  const notes = [`${rows.length} of ${total} result(s)`];
+  if (result.next_cursor) notes.push('more available with next_cursor');
+  if (rows.length < items.length || result._truncated) notes.push('truncated');
+  return [
+    `### ${tool_name}`,
+    '',
+    notes.join(', '),
+    '',
+    `| ${columns.map(markdownCell).join(' | ')} |`,
+    `| ${columns.map(() => '---').join(' | ')} |`,
+    ...rows.map((row) => `| ${columns.map((column) => markdownCell(row[column])).join(' | ')} |`),
+  ].join('\n');
+}
+
+// Field paths a read tool's documents are cut down to, or null to keep them whole
+function projectionPaths(tool_name, { detail = 'summary', fields }) {
+  const type = RESULT_SHAPES[tool_name];
+  if (type && fields) return ['_id', ...fields.split(/[\s,]+/).filter(Boolean)];
+  if (type && detail === 'summary') return SUMMARY_FIELDS[type];
+  return null;
+}
+
+// Projection → size budget → optional Markdown (which gets half of the budget)
+function shapeResult(tool_name, result, { detail, fields, markdown = false }) {
+  const paths = projectionPaths(tool_name, { detail, fields });
+  let shaped = paths ? projectResult(result, paths) : result;
+
+  const budget = markdown ? Math.floor(RESPONSE_MAX_BYTES / 2) : RESPONSE_MAX_BYTES;
+  shaped = fitResponseBudget(shaped, budget);
+  if (markdown && shaped && typeof shaped === 'object') {
+    if (shaped === result) shaped = Array.isArray(result) ? [...result] : { ...result }; // don't tag cached objects
+    Object.defineProperty(shaped, MARKDOWN, { value: truncateString(renderMarkdown(tool_name, shaped), budget) });
+  }
+  return shaped;
+}
+
+//--------------------------------------------------
+// Audit log (append-only JSON lines, guest PII redacted)
+//--------------------------------------------------
+
+const AUDIT_LOG_PATH = process.env.AUDIT_LOG_PATH || path.join(process.cwd(), 'audit-log.jsonl');
+const AUDIT_DEFAULT_LIMIT = 100;
+
+// Guest PII, message bodies and notes (door codes, addresses) – replaced by a short hash so entries
+// about the same guest can still be correlated; object values such as template variables are hashed whole
+const AUDIT_REDACT_KEYS = new Set([
+  'email', 'phone', 'first_name', 'last_name', 'name', 'firstName', 'lastName', 'fullName',
+  'message', 'subject', 'notes', 'note', 'variables',
+]);
+const EMAIL_IN_TEXT = /[^\s@"]+@[^\s@"]+\.[^\s@"]+/g;
+// 9+ digits, optionally with +, spaces, dots, dashes or brackets – long enough to leave dates alone
+const PHONE_IN_TEXT = /(?<![\w+(])\+?\(?\d(?:[\s().-]{0,2}\d){8,}(?!\w)/g;
+
+// Keyed so short inputs like phone numbers can't be recovered by hashing guesses; without a
+// configured secret the key lives only as long as the process, and so does correlation
+const AUDIT_REDACT_SECRET = process.env.AUDIT_REDACT_SECRET || crypto.randomBytes(32).toString('hex');
+
+if (!process.env.AUDIT_REDACT_SECRET && process.env.AUDIT_LOG_DISABLED !== 'true') {
+  logger.warn('AUDIT_REDACT_SECRET not set – redacted audit values can only be correlated until the next restart');
+}
+
+function redactValue(value) {
+  return `[redacted:${crypto.createHmac('sha256', AUDIT_REDACT_SECRET).update(String(value)).digest('hex').slice(0, 12)}]`;
+}
+
+function redactParams(value, key) {
+  if (AUDIT_REDACT_KEYS.has(key) && value !== null && value !== undefined) {
+    return redactValue(typeof value === 'object' ? canonicalJson(value) : value);
+  }
+  if (Array.isArray(value)) return value.map((item) => redactParams(item, key));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactParams(v, k)]));
+  }
+  // Emails and phone numbers also turn up in free text and JSON filter strings
+  return typeof value === 'string' ? value.replace(EMAIL_IN_TEXT, redactValue).replace(PHONE_IN_TEXT, redactValue) : value;
+}
+
+// A bare date as the upper bound covers that whole day
+function auditBound(value, endOfDay = false) {
+  if (!value) return null;
+  const time = Date.parse(value);
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 86_400_000 - 1 : time;
+}
+
+function auditEntryMatches(entry, { from, to, tool, reservation_id, client, outcome, accounts }) {
+  if (accounts && !accounts.includes('*') && !accounts.includes(entry.account)) return false;
+  const time = Date.parse(entry.timestamp);
+  if (from && time < auditBound(from)) return false;
+  if (to && time > auditBound(to, true)) return false;
+  if (tool && entry.tool !== tool) return false;
+  if (client && entry.client !== client) return false;
+  if (outcome && entry.outcome !== outcome) return false;
+  if (reservation_id) {
+    return entry.params?.reservation_id === reservation_id
+      || entry.resources?.some((r) => r.type === 'reservations' && r.id === reservation_id);
+  }
+  return true;
+}
+
+// Store interface – each method may return a promise:
+//   append(entry) · query(filter) → matching entries, newest first, at most filter.limit;
+//   filter.accounts, when set, lists the only accounts whose entries the caller may see
+function createFileAuditStore(filePath) {
+  let writeChain = Promise.resolve(); // appends are serialised so lines never interleave
+
+  return {
+    append(entry) {
+      writeChain = writeChain
+        .then(() => fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, { mode: 0o600 }))
+        .catch((err) => logger.error('Could not write audit log', { path: filePath, err }));
+      return writeChain;
+    },
+    async query(filter) {
+      await writeChain;
+      if (!fs.existsSync(filePath)) return [];
+
+      // Streamed so a large log never has to fit in memory; keeps only the newest matches
+      const matches = [];
+      const lines = readline.createInterface({ input: fs.createReadStream(filePath), crlfDelay: Infinity });
+      for await (const line of lines) {
+        if (!line.trim()) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // torn line from a crash mid-write
+        }
+        if (!auditEntryMatches(entry, filter)) continue;
+        matches.push(entry);
+        if (matches.length > filter.limit) matches.shift();
+      }
+      return matches.reverse();
+    },
+  };
+}
+
+function loadAuditStore() {
+  if (process.env.AUDIT_LOG_DISABLED === 'true') return null;
+  if (process.env.AUDIT_STORE_MODULE) return require(path.resolve(process.env.AUDIT_STORE_MODULE))();
+  return createFileAuditStore(AUDIT_LOG_PATH);
+}
+
+const auditStore = loadAuditStore();
+
+function recordAudit({ tool_name, tool_params, context, audit, startedAt, error }) {
+  if (!auditStore) return;
+  const entry = {
+    timestamp: new Date(startedAt).toISOString(),
+    tool: tool_name,
+    client: context.client?.name ?? null,
+    transport: context.transport ?? null,
+    session_id: context.sessionId ?? null,
+    call_id: context.callId ?? null,
+    account: audit.account,
+    params: redactParams(tool_params),
+    outcome: audit.outcome,
+    error: error ? { type: toErrorPayload(error).type, code: error.code ?? null, message: error.message } : null,
+    duration_ms: Date.now() - startedAt,
+    resources: audit.resources,
+  };
+  // Never let a broken audit store fail the call it is recording
+  Promise.resolve()
+    .then(() => auditStore.append(entry))
+    .catch((err) => logger.error('Could not record audit entry', { tool: tool_name, err }));
+}
+
+// An API key only sees entries for the accounts it may use – see isAccountAllowed – and,
+// unless it was given audit: 'all', only its own calls
+async function getAuditLog({ limit = AUDIT_DEFAULT_LIMIT, ...filter }, context = {}) {
+  if (!auditStore) throw new NotFoundError('Audit log is disabled (AUDIT_LOG_DISABLED=true)', { code: 'AUDIT_DISABLED' });
+  const { client } = context;
+  if (client && client.audit !== 'all') {
+    if (filter.client && filter.client !== client.name) {
+      throw new ForbiddenError(`API key "${client.name}" may only read its own audit entries`, { code: 'AUDIT_NOT_ALLOWED' });
+    }
+    filter.client = client.name;
+  }
+  const entries = await auditStore.query({ ...filter, limit, accounts: client?.accounts });
+  return { entries, returned: entries.length };
+}
+
+//--------------------------------------------------
+// Idempotency for write tools
+//--------------------------------------------------
+
+const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60_000;
+
+// scope → { fingerprint, promise, result, expiresAt }
+const idempotencyOutcomes = new Map();
+
+function isWriteTool(tool_name) {
+  return 'idempotency_key' in TOOL_DEFINITIONS.get(tool_name).parameters.properties;
+}
+
+// Key order shouldn't make two identical calls look different
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function pruneIdempotencyOutcomes() {
+  const now = Date.now();
+  for (const [scope, outcome] of idempotencyOutcomes) {
+    if (outcome.expiresAt < now) idempotencyOutcomes.delete(scope);
+  }
+}
+
+// Only successes are remembered – a failed call can be retried with the same key.
+// Concurrent replays wait for the first call instead of writing in parallel.
+async function withIdempotency({ tool_name, key, account, params, context }, run) {
+  pruneIdempotencyOutcomes();
+  const scope = [context.client?.name ?? '', account, tool_name, key].join('|');
+  const fingerprint = canonicalJson(params);
+  const existing = idempotencyOutcomes.get(scope);
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      throw new ConflictError(`Idempotency key "${key}" was already used for ${tool_name} with different arguments`, {
+        code: 'IDEMPOTENCY_KEY_REUSED',
+      });
+    }
+    logger.info('Replaying idempotent call', { tool: tool_name, idempotency_key: key });
+    const audit = requestContext.getStore()?.audit;
+    if (audit) audit.outcome = 'replayed';
+    return existing.promise;
+  }
+
+  const outcome = { fingerprint, expiresAt: Infinity, promise: null };
+  outcome.promise = run().then(
+    (result) => {
+      outcome.expiresAt = Date.now() + IDEMPOTENCY_TTL_MS;
+      return result;
+    },
+    (err) => {
+      idempotencyOutcomes.delete(scope);
+      throw err;
+    },
+  );
+  idempotencyOutcomes.set(scope, outcome);
+  return outcome.promise;
+}
+
+//--------------------------------------------------
+// Human-in-the-loop confirmation (dry-run preview + one-time token)
+//--------------------------------------------------
+
+// Opt-in: existing callers of write tools keep getting writes, not previews
+const CONFIRM_TOOL_PATTERNS = (process.env.CONFIRM_TOOLS ?? '')
+  .split(',')
+  .map((pattern) => pattern.trim())
+  .filter(Boolean)
+  .map(toolPatternToRegExp);
+const CONFIRM_TTL_MS = Number(process.env.CONFIRM_TTL_MS) || 10 * 60_000;
+
+const pendingActions = new Map(); // token → { tool_name, tool_params, clientName, expiresAt }
+
+function requiresConfirmation(tool_name) {
+  return tool_name !== 'confirm_action' && CONFIRM_TOOL_PATTERNS.some((pattern) => pattern.test(tool_name));
+}
+
+// Tools held for confirmation say so, so the model knows to expect a preview
+MCP_MANIFEST.tools.filter((tool) => requiresConfirmation(tool.name)).forEach((tool) => {
+  tool.description += '. Returns a preview and a confirmation_token; nothing is changed until confirm_action is called';
+});
+
+// Keep expired tokens around for one more TTL so a late confirm gets "expired", not "unknown"
+function prunePendingActions() {
+  const cutoff = Date.now() - CONFIRM_TTL_MS;
+  for (const [token, action] of pendingActions) {
+    if (action.expiresAt < cutoff) pendingActions.delete(token);
+  }
+}
+
+// Runs the handler with writes captured instead of sent; reads still hit Guesty
+async function previewTool(tool_name, tool_params, params, context) {
+  const writes = [];
+  const result = await requestContext.run({ ...requestContext.getStore(), preview: writes }, () => runTool(tool_name, params, context));
+  if (writes.length === 0) return result; // nothing would change, e.g. send_guest_message with preview: true
+
+  prunePendingActions();
+  const token = crypto.randomBytes(24).toString('base64url');
+  const expiresAt = Date.now() + CONFIRM_TTL_MS;
+  pendingActions.set(token, { tool_name, tool_params, clientName: context.client?.name ?? null, expiresAt });
+
+  return {
+    status: 'confirmation_required',
+    tool: tool_name,
+    arguments: tool_params,
+    writes,
+    confirmation_token: token,
+    expires_at: new Date(expiresAt).toISOString(),
+  };
+}
+
+async function confirmAction({ confirmation_token }, context) {
+  const action = pendingActions.get(confirmation_token);
+  if (!action) {
+    throw new NotFoundError('Confirmation token is unknown or has already been used', { code: 'CONFIRMATION_NOT_FOUND' });
+  }
+  if (action.clientName !== (context.client?.name ?? null)) {
+    throw new ForbiddenError('Confirmation token was issued to a different API key', { code: 'CONFIRMATION_NOT_ALLOWED' });
+  }
+  pendingActions.delete(confirmation_token); // one-time, even if the call below fails
+  if (Date.now() > action.expiresAt) {
+    throw new ConflictError(`Confirmation token expired at ${new Date(action.expiresAt).toISOString()}; call ${action.tool_name} again for a fresh preview`, {
+      code: 'CONFIRMATION_EXPIRED',
+    });
+  }
+
+  logger.info('Executing confirmed action', { tool: action.tool_name });
+  return callTool(action.tool_name, action.tool_params, { ...context, confirmed: true });
+}
+
+//--------------------------------------------------
+// Batch calls
+//--------------------------------------------------
+
+// Each call goes through callTool, so permissions, validation, confirmation, idempotency and the
+// audit log apply per call; reads queue at low priority behind interactive traffic
+async function batchCall({ calls, concurrency = BATCH_DEFAULT_CONCURRENCY, stop_on_error = false }, context) {
+  const { account } = requestContext.getStore() ?? {};
+  const results = new Array(calls.length);
+  let next = 0;
+  let finished = 0;
+  let failed = false;
+
+  const runCall = async (index) => {
+    const { tool_name, tool_params = {}, call_id } = calls[index];
+    const item = { index, call_id: call_id ?? null, tool_name };
+    if (failed && stop_on_error) return { ...item, status: 'skipped' };
+
+    try {
+      if (tool_name === 'batch_call') {
+        throw new ValidationError([{ path: `$.calls[${index}].tool_name`, message: 'batch_call cannot be nested' }]);
+      }
+      // The batch's account is the default for calls that don't name one
+      const params = ACCOUNTS.size > 1 && tool_params.account === undefined ? { ...tool_params, account } : tool_params;
+      const callContext = {
+        ...context,
+        progressToken: undefined,
+        // Item ids are only unique within their batch, so the default idempotency key is scoped to it
+        callId: context.callId ? `${context.callId}:${call_id ?? index}` : undefined,
+      };
+      const result = await requestContext.run({ ...requestContext.getStore(), priority: 'low' }, () => callTool(tool_name, params, callContext));
+      return { ...item, status: 'success', result };
+    } catch (err) {
+      failed = true;
+      return { ...item, status: 'error', error: toErrorPayload(err) };
+    }
+  };
+
+  const worker = async () => {
+    while (next < calls.length) {
+      const index = next;
+      next += 1;
+      results[index] = await runCall(index);
+      finished += 1;
+      reportProgress(context, finished, calls.length, `Finished ${finished} of ${calls.length} calls`);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(concurrency, calls.length) }, worker));
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  logger.debug('Batch finished', { calls: calls.length, errors: count('error') });
+  return {
+    summary: { total: calls.length, succeeded: count('success'), failed: count('error'), skipped: count('skipped') },
+    results,
+  };
+}
+
+//--------------------------------------------------
+// 8 · MCP protocol (JSON-RPC 2.0)
+//--------------------------------------------------
+
+// Newest first – the first entry is offered when the client asks for one we don't know
+const MCP_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_INFO = { name: MCP_MANIFEST.name, version: '1.0.0' };
+
+const JSONRPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  UNAUTHORIZED: -32001,
+  RESOURCE_NOT_FOUND: -32002, // as defined by MCP
+  UNAVAILABLE: -32003,
+};
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+function rpcErrorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) error.data = data;
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+// tools/list is generated from the manifest so both protocols stay in sync
+function listTools(client) {
+  return MCP_MANIFEST.tools.filter((tool) => isToolAllowed(client, tool.name)).map(({ name, description, parameters }) => ({
+    name,
+    description,
+    inputSchema: parameters,
+  }));
+}
+
+// notifications/progress for long-running calls – only when the client asked for it
+function reportProgress(context, progress, total, message, meta) {
+  if (context.progressToken === undefined || !context.notify) return;
+  const params = { progressToken: context.progressToken, progress, message };
+  if (total !== null && total !== undefined) params.total = total;
+  if (meta) params._meta = meta;
+  context.notify('notifications/progress', params);
+}
+
+function toToolResult(result) {
+  // Tools that render their own text (CSV reports) return a string
+  const content = [{ type: 'text', text: typeof result === 'string' ? result : JSON.stringify(result ?? null, null, 2) }];
+  if (result?.[MARKDOWN]) content.push({ type: 'text', text: result[MARKDOWN] });
+  return { content, isError: false };
+}
+
+function toToolError(err) {
+  const error = toErrorPayload(err);
+  return {
+    content: [{ type: 'text', text: JSON.stringify({ error }, null, 2) }],
+    isError: true,
+  };
+}
+
+//--------------------------------------------------
+// MCP prompts
+//--------------------------------------------------
+
+function promptText(text) {
+  return { role: 'user', content: { type: 'text', text } };
+}
+
+async function promptResource(uri, context) {
+  return { role: 'user', content: { type: 'resource', resource: await readResource(uri, context) } };
+}
+
+// Named task prompts; each is offered only to API keys allowed to call the tools it relies on
+const PROMPTS = [
+  {
+    name: 'guesty_assistant',
+    description: 'General instructions for working with this Guesty server',
+    arguments: [],
+    tools: [],
+    messages: () => [promptText(`${MCP_MANIFEST.system_prompt} Read before you write: look up listings, reservations and guests with the read tools, and prefer preview: true or a confirmation preview before anything guest-facing is sent. Dates are YYYY-MM-DD.`)],
+  },
+  {
+    name: 'draft_check_in_instructions',
+    description: 'Draft check-in instructions for a reservation',
+    arguments: [{ name: 'reservation_id', description: 'ID of the reservation', required: true }],
+    tools: ['get_reservation', 'send_guest_message'],
+    messages: async ({ reservation_id }, context) => [
+      await promptResource(`guesty://reservations/${encodeURIComponent(reservation_id)}`, context),
+      promptText(`Draft check-in instructions for the guest of reservation ${reservation_id} above. Call send_guest_message with template "check_in_instructions" and preview: true to render them from the reservation and listing; if a placeholder is missing, ask me for it rather than guessing. Show me the rendered message and the channel it would go out on, and do not send it until I approve.`),
+    ],
+  },
+  {
+    name: 'summarize_arrivals',
+    description: "Summarize a day's arrivals across all properties",
+    arguments: [{ name: 'date', description: 'Day to summarize (YYYY-MM-DD, default: today)', required: false }],
+    tools: ['get_arrivals_departures'],
+    messages: ({ date = new Date().toISOString().slice(0, 10) }) => [
+      promptText(`Summarize the arrivals on ${date} across all properties. Call get_arrivals_departures with date "${date}" and list each arrival's property, guest name, number of guests and planned arrival time, in arrival order. Then flag anything that needs attention: missing arrival times, unpaid balances, and listings with a departure and an arrival on the same day (tight turnovers).`),
+    ],
+  },
+  {
+    name: 'reply_to_guest',
+    description: "Read a reservation's conversation and draft a reply to the guest",
+    arguments: [
+      { name: 'reservation_id', description: 'ID of the reservation', required: true },
+      { name: 'instructions', description: 'What the reply should say or achieve', required: false },
+    ],
+    tools: ['get_guest_messages', 'send_guest_message'],
+    messages: ({ reservation_id, instructions }) => [
+      promptText(`Call get_guest_messages for reservation ${reservation_id} and read the conversation. Draft a short, friendly reply to the guest's latest message${instructions ? ` (${instructions})` : ''}, on the channel they last wrote from. Check it with send_guest_message and preview: true, show it to me, and only send it once I approve.`),
+    ],
+  },
+];
+
+function promptAllowed(client, prompt) {
+  return prompt.tools.every((tool) => isToolAllowed(client, tool));
+}
+
+function listPrompts(client) {
+  return PROMPTS.filter((prompt) => promptAllowed(client, prompt)).map(({ name, description, arguments: args }) => ({ name, description, arguments: args }));
+}
+
+async function getPrompt({ name, arguments: args = {} }, context) {
+  const prompt = PROMPTS.find((candidate) => candidate.name === name);
+  if (!prompt) throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown prompt: ${name}`);
+  if (!promptAllowed(context.client, prompt)) {
+    throw new JsonRpcError(JSONRPC_ERRORS.UNAUTHORIZED, `API key "${context.client.name}" is not allowed to use prompt ${name}`);
+  }
+  const missing = prompt.arguments.filter((arg) => arg.required && (typeof args[arg.name] !== 'string' || !args[arg.name].trim()));
+  if (missing.length) {
+    throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Missing prompt arguments: ${missing.map((arg) => arg.name).join(', ')}`);
+  }
+  return { description: prompt.description, messages: await prompt.messages(args, context) };
+}
+
+const RPC_METHODS = {
+  async initialize(params) {
+    const requested = params.protocolVersion;
+    const protocolVersion = MCP_PROTOCOL_VERSIONS.includes(requested) ? requested : MCP_PROTOCOL_VERSIONS[0];
+    return {
+      protocolVersion,
+      capabilities: {
+        tools: { listChanged: false },
+        resources: { subscribe: true, listChanged: false },
+        prompts: { listChanged: false },
+      },
+      serverInfo: SERVER_INFO,
+      instructions: MCP_MANIFEST.system_prompt,
+    };
+  },
+
+  async ping() {
+    return {};
+  },
+
+  async 'tools/list'(params, context) {
+    return { tools: listTools(context.client) };
+  },
+
+  async 'resources/list'(params, context) {
+    return listResources(context, params.cursor);
+  },
+
+  async 'resources/templates/list'(params, context) {
+    return { resourceTemplates: listResourceTemplates(context.client) };
+  },
+
+  async 'resources/read'(params, context) {
+    return { contents: [await readResource(params.uri, context)] };
+  },
+
+  async 'resources/subscribe'(params, context) {
+    assertResourceAllowed(params.uri, context.client);
+    const subscriber = subscriberFor(context);
+    const uris = resourceSubscriptions.get(subscriber.id)?.uris ?? new Set();
+    uris.add(params.uri);
+    resourceSubscriptions.set(subscriber.id, { ...subscriber, uris });
+    return {};
+  },
+
+  async 'resources/unsubscribe'(params, context) {
+    resourceSubscriptions.get(subscriberFor(context).id)?.uris.delete(params.uri);
+    return {};
+  },
+
+  async 'prompts/list'(params, context) {
+    return { prompts: listPrompts(context.client) };
+  },
+
+  async 'prompts/get'(params, context) {
+    return getPrompt(params, context);
+  },
+
+  async 'tools/call'(params, context) {
+    const { name, arguments: args = {} } = params;
+    if (!TOOL_DEFINITIONS.has(name)) {
+      throw new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    // Tool failures are reported in-band so the model can see & react to them
+    try {
+      const toolContext = { ...context, progressToken: params._meta?.progressToken };
+      // Request ids are only unique within a session (or the single stdio client), so only
+      // then do they double as the default idempotency key
+      if (context.sessionId || context.transport === 'stdio') {
+        toolContext.callId = `${context.sessionId ?? 'stdio'}:${context.requestId}`;
       }
-      throw err;
-    });
-}
+      return toToolResult(await callTool(name, args, toolContext));
+    } catch (err) {
+      return toToolError(err);
+    }
+  },
+};
 
-async function createReservation({ listing_id, check_in_date, check_out_date, guest_id, guest_data, status = 'inquiry' }) {
-  // Input validation
-  if (!listing_id) {
-    throw new Error('ValidationError: listing_id is required');
+// Returns the response object, or null for notifications & client responses
+async function handleJsonRpcMessage(message, context = {}) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return rpcErrorResponse(message?.id, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
   }
-  if (!check_in_date || !check_out_date) {
-    throw new Error('ValidationError: check_in_date and check_out_date are required');
+
+  if (typeof message.method !== 'string') {
+    // Replies to server-initiated requests – nothing is waiting on them
+    if ('result' in message || 'error' in message) return null;
+    return rpcErrorResponse(message.id, JSONRPC_ERRORS.INVALID_REQUEST, 'Invalid Request');
   }
-  
-  // Validate date format (YYYY-MM-DD)
-  const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-  if (!dateRegex.test(check_in_date) || !dateRegex.test(check_out_date)) {
-    throw new Error('ValidationError: dates must be in YYYY-MM-DD format');
+
+  // notifications/initialized, notifications/cancelled, …
+  if (!('id' in message)) {
+    logger.debug('Notification received', { method: message.method });
+    return null;
   }
-  
-  // Validate check_out is after check_in
-  if (new Date(check_in_date) >= new Date(check_out_date)) {
-    throw new Error('ValidationError: check_out_date must be after check_in_date');
+
+  const method = RPC_METHODS[message.method];
+  if (!method) {
+    return rpcErrorResponse(message.id, JSONRPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${message.method}`);
   }
-  
-  // Validate reservation status
-  const validStatuses = ['inquiry', 'pending', 'confirmed', 'canceled'];
-  if (status && !validStatuses.includes(status)) {
-    throw new Error(`ValidationError: status must be one of ${validStatuses.join(', ')}`);
+
+  try {
+    const result = await method(message.params || {}, { ...context, requestId: message.id });
+    return { jsonrpc: '2.0', id: message.id, result };
+  } catch (err) {
+    if (err instanceof JsonRpcError) return rpcErrorResponse(message.id, err.code, err.message, err.data);
+    logger.error('JSON-RPC method failed', { method: message.method, err });
+    return rpcErrorResponse(message.id, JSONRPC_ERRORS.INTERNAL_ERROR, err.message);
   }
-  
-  // Validate that at least one of guest_id or guest_data is provided
-  if (!guest_id && !guest_data) {
-    throw new Error('ValidationError: either guest_id or guest_data must be provided');
+}
+
+//--------------------------------------------------
+// 9 · MCP endpoint (Streamable HTTP + legacy envelope)
+//--------------------------------------------------
+
+// Counts in-flight /mcp requests so shutdown can wait for them; refuses new ones while draining
+app.use('/mcp', (req, res, next) => {
+  if (lifecycle.draining) {
+    const err = new GuestyMcpError('Server is shutting down – retry on another instance', { code: 'SHUTTING_DOWN', status: 503, retryable: true });
+    res.set('Connection', 'close');
+    if (isLegacyEnvelope(req.body)) return res.status(503).json({ type: 'error', error: toErrorPayload(err) });
+    return res.status(503).json(rpcErrorResponse(null, JSONRPC_ERRORS.UNAVAILABLE, err.message, toErrorPayload(err)));
   }
 
-  const reservation = {
-    listingId: listing_id,
-    checkInDate: check_in_date,
-    checkOutDate: check_out_date,
-    status,
+  if (req.method === 'GET') return next(); // notification streams stay open indefinitely – not calls
+
+  lifecycle.inFlight += 1;
+  let settled = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    lifecycle.inFlight -= 1;
   };
+  res.on('finish', settle);
+  res.on('close', settle);
+  return next();
+});
+
+//--------------------------------------------------
+// Client authentication (API keys with per-key tool allow-lists)
+//--------------------------------------------------
+
+const API_KEYS_FILE = process.env.MCP_API_KEYS_FILE;
+const API_KEYS_RELOAD_MS = 5000;
+const AUTH_ENABLED = Boolean(process.env.MCP_API_KEYS || API_KEYS_FILE);
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// 'list_*' → /^list_.*$/
+function toolPatternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+// JSON array of { name, key | key_sha256, tools?, account?, accounts?, audit? } or the shorthand "name:key,name:key"
+function parseApiKeys(raw, source) {
+  const text = raw.trim();
+  if (!text) return [];
+  const entries = text.startsWith('[')
+    ? JSON.parse(text)
+    : text.split(',').map((pair) => {
+      const [name, ...key] = pair.split(':');
+      return { name: name.trim(), key: key.join(':').trim() };
+    });
+
+  return entries.map((entry, i) => {
+    const keyHash = entry.key_sha256 ? Buffer.from(entry.key_sha256, 'hex') : entry.key && sha256(entry.key);
+    if (!entry.name || !keyHash) throw new Error(`${source}: entry ${i} needs a name and a key or key_sha256`);
+    if (entry.account && !ACCOUNTS.has(entry.account)) throw new Error(`${source}: entry ${i} uses unknown account ${entry.account}`);
+    if (entry.audit !== undefined && !['own', 'all'].includes(entry.audit)) throw new Error(`${source}: entry ${i} audit must be "own" or "all"`);
+    const tools = entry.tools || ['*'];
+    // A key pinned to one account may only use that account unless `accounts` says otherwise
+    const accounts = entry.accounts || (entry.account ? [entry.account] : ['*']);
+    return {
+      name: entry.name,
+      keyHash,
+      tools,
+      toolPatterns: tools.map(toolPatternToRegExp),
+      account: entry.account,
+      accounts,
+      audit: entry.audit ?? 'own', // 'all' also shows other keys' audit entries
+    };
+  });
+}
+
+let ENV_CLIENTS = [];
+try {
+  ENV_CLIENTS = parseApiKeys(process.env.MCP_API_KEYS || '', 'MCP_API_KEYS');
+} catch (err) {
+  logger.error('Invalid MCP_API_KEYS', { err });
+  process.exit(1);
+}
+
+const apiKeyState = { clients: ENV_CLIENTS, fileClients: [], fileMtimeMs: null, checkedAt: 0 };
+
+// Re-reads the key file when it changes (checked at most every few seconds) – no restart needed
+function loadApiKeys() {
+  if (!API_KEYS_FILE || Date.now() - apiKeyState.checkedAt < API_KEYS_RELOAD_MS) return apiKeyState.clients;
+  apiKeyState.checkedAt = Date.now();
 
-  console.log(`[createReservation] Creating reservation for listing: ${listing_id}`);
-  
   try {
-    if (guest_id) {
-      reservation.guestId = guest_id;
-    } else if (guest_data) {
-      console.log('[createReservation] Creating new guest');
-      const newGuest = await guesty.post(ENDPOINTS.GUESTS, guest_data);
-      reservation.guestId = newGuest._id;
+    const { mtimeMs } = fs.statSync(API_KEYS_FILE);
+    if (mtimeMs !== apiKeyState.fileMtimeMs) {
+      apiKeyState.fileClients = parseApiKeys(fs.readFileSync(API_KEYS_FILE, 'utf8'), API_KEYS_FILE);
+      apiKeyState.fileMtimeMs = mtimeMs;
+      logger.info('Loaded API keys', { count: apiKeyState.fileClients.length, path: API_KEYS_FILE });
     }
-  
-    return guesty.post(ENDPOINTS.RESERVATIONS, reservation);
   } catch (err) {
-    if (err.response?.status === 404 && err.response?.data?.includes('listing')) {
-      throw new Error('NotFoundError: Listing not found');
+    logger.error('Could not load API keys, keeping previous keys', { path: API_KEYS_FILE, err });
+  }
+
+  apiKeyState.clients = [...ENV_CLIENTS, ...apiKeyState.fileClients];
+  return apiKeyState.clients;
+}
+
+function findClient(presentedKey) {
+  const hash = sha256(presentedKey);
+  return loadApiKeys().find((client) => client.keyHash.length === hash.length && crypto.timingSafeEqual(client.keyHash, hash));
+}
+
+// Not granted by patterns like get_* – the key has to name them, or allow everything with *
+const EXPLICIT_GRANT_TOOLS = new Set(['get_audit_log']);
+
+// No client means a trusted local caller (stdio, or auth not configured)
+function isToolAllowed(client, tool_name) {
+  if (!client) return true;
+  if (EXPLICIT_GRANT_TOOLS.has(tool_name)) return client.tools.includes(tool_name) || client.tools.includes('*');
+  return client.toolPatterns.some((pattern) => pattern.test(tool_name));
+}
+
+function isAccountAllowed(client, accountName) {
+  return !client || client.accounts.includes('*') || client.accounts.includes(accountName);
+}
+
+function authenticateMcp(req, res, next) {
+  if (!AUTH_ENABLED) return next();
+
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const presented = (bearer || req.get('X-API-Key') || '').trim();
+  const client = presented ? findClient(presented) : null;
+  if (client) {
+    req.mcpClient = client;
+    return next();
+  }
+
+  const err = new AuthenticationError(presented ? 'Invalid API key' : 'Missing API key – send Authorization: Bearer <key>');
+  res.set('WWW-Authenticate', 'Bearer realm="guesty-mcp"');
+  if (req.baseUrl !== '/mcp') return res.status(401).json({ error: toErrorPayload(err) });
+  if (isLegacyEnvelope(req.body)) return res.status(401).json({ type: 'error', error: toErrorPayload(err) });
+  return res.status(401).json(rpcErrorResponse(null, JSONRPC_ERRORS.UNAUTHORIZED, err.message, toErrorPayload(err)));
+}
+
+if (!AUTH_ENABLED && !STDIO_MODE) {
+  logger.warn('MCP_API_KEYS / MCP_API_KEYS_FILE not set – /mcp is open to anyone who can reach it');
+}
+
+app.use('/mcp', authenticateMcp);
+app.use('/audit', authenticateMcp);
+
+// Same filters as the get_audit_log tool, as query-string parameters
+app.get('/audit', async (req, res) => {
+  try {
+    if (!isToolAllowed(req.mcpClient, 'get_audit_log')) {
+      throw new ForbiddenError(`API key "${req.mcpClient.name}" is not allowed to read the audit log`);
+    }
+    const filter = Object.fromEntries(Object.entries(req.query).filter(([, value]) => typeof value === 'string'));
+    if (filter.limit !== undefined) filter.limit = /^\d+$/.test(filter.limit) ? Number(filter.limit) : filter.limit;
+    validateToolParams('get_audit_log', filter);
+    res.json(await getAuditLog(filter, { client: req.mcpClient }));
+  } catch (err) {
+    res.status(err.status || 500).json({ error: toErrorPayload(err) });
+  }
+});
+
+const SESSION_IDLE_MS = 24 * 60 * 60 * 1000;
+const SSE_KEEPALIVE_MS = 25_000;
+const sessions = new Map(); // Mcp-Session-Id → { createdAt, lastSeenAt, clientName, streams }
+
+function endSession(id) {
+  sessions.get(id)?.streams.forEach((stream) => stream.end());
+  sessions.delete(id);
+  resourceSubscriptions.delete(id);
+}
+
+function pruneSessions() {
+  const cutoff = Date.now() - SESSION_IDLE_MS;
+  for (const [id, session] of sessions) {
+    if (session.lastSeenAt < cutoff) endSession(id);
+  }
+}
+
+function writeSseMessage(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+// Pre-JSON-RPC callers send { type: 'ping' | 'manifest' | 'tool_call' }
+function isLegacyEnvelope(body) {
+  return body && !Array.isArray(body) && body.jsonrpc === undefined && typeof body.type === 'string';
+}
+
+async function handleLegacyRequest(req, res) {
+  const { type } = req.body;
+  try {
+    if (type === 'ping') return res.json({ type: 'pong' });
+    if (type === 'manifest') {
+      const tools = MCP_MANIFEST.tools.filter((tool) => isToolAllowed(req.mcpClient, tool.name));
+      return res.json({ type: 'manifest', manifest: { ...MCP_MANIFEST, tools, prompts: listPrompts(req.mcpClient) } });
     }
-    if (err.response?.status === 404 && err.response?.data?.includes('guest')) {
-      throw new Error('NotFoundError: Guest not found');
+
+    if (type === 'tool_call') {
+      const { tool_name, tool_params, call_id } = req.body;
+      const context = { transport: 'legacy', callId: call_id, client: req.mcpClient };
+      const result = await callTool(tool_name, tool_params, context);
+      return res.json({ type: 'tool_result', call_id, result, ...(result?.[MARKDOWN] && { markdown: result[MARKDOWN] }) });
     }
-    if (err.response?.status === 409) {
-      throw new Error('ConflictError: Property is not available for the specified dates');
+
+    if (type === 'batch') {
+      const { calls, concurrency, stop_on_error, call_id } = req.body;
+      const context = { transport: 'legacy', callId: call_id, client: req.mcpClient };
+      const params = Object.fromEntries(Object.entries({ calls, concurrency, stop_on_error }).filter(([, value]) => value !== undefined));
+      const result = await callTool('batch_call', params, context);
+      return res.json({ type: 'batch_result', call_id, ...result });
     }
-    throw err;
+
+    return res.status(400).json({ type: 'error', error: { message: `Unknown type: ${type}` } });
+  } catch (err) {
+    const status = err instanceof GuestyMcpError ? err.status : 500;
+    return res.status(status).json({ type: 'error', error: toErrorPayload(err) });
   }
 }
 
-async function sendGuestMessage({ reservation_id, message, subject = 'Message from Property Manager' }) {
-  // Input validation
-  if (!reservation_id) {
-    throw new Error('ValidationError: reservation_id is required');
+app.post('/mcp', async (req, res) => {
+  if (isLegacyEnvelope(req.body)) return handleLegacyRequest(req, res);
+
+  const sessionId = req.get('Mcp-Session-Id');
+  if (sessionId) {
+    const session = sessions.get(sessionId);
+    // A session is bound to the key that opened it
+    if (!session || session.clientName !== req.mcpClient?.name) {
+      return res.status(404).json(rpcErrorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Unknown or expired session'));
+    }
+    session.lastSeenAt = Date.now();
   }
-  if (!message || message.trim() === '') {
-    throw new Error('ValidationError: message is required and cannot be empty');
+
+  const isBatch = Array.isArray(req.body);
+  const messages = isBatch ? req.body : [req.body];
+  if (messages.length === 0) {
+    return res.status(400).json(rpcErrorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Empty batch'));
   }
 
-  console.log(`[sendGuestMessage] Sending message for reservation: ${reservation_id}`);
-  
-  try {
-    const reservation = await guesty.get(`${ENDPOINTS.RESERVATIONS}/${reservation_id}`);
-    if (!reservation || !reservation.guestId) {
-      throw new Error('NotFoundError: Reservation or guest not found');
+  // Clients that accept SSE get progress notifications streamed ahead of the final response
+  const acceptsStream = (req.get('Accept') || '').includes('text/event-stream');
+  const writeEvent = (message) => writeSseMessage(res, message);
+  const notify = acceptsStream ? (method, params) => {
+    if (!res.headersSent) {
+      res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+      res.flushHeaders();
     }
+    writeEvent({ jsonrpc: '2.0', method, params });
+  } : undefined;
+
+  const context = { transport: 'http', sessionId, notify, client: req.mcpClient };
+  const replies = await Promise.all(messages.map((m) => handleJsonRpcMessage(m, context)));
+  const responses = replies.filter(Boolean);
+
+  if (res.headersSent) {
+    responses.forEach(writeEvent);
+    return res.end();
+  }
+
+  // A successful initialize opens a new session
+  const initialized = messages.some((m, i) => m?.method === 'initialize' && replies[i]?.result);
+  if (initialized && !sessionId) {
+    pruneSessions();
+    const newSessionId = crypto.randomUUID();
+    sessions.set(newSessionId, { createdAt: Date.now(), lastSeenAt: Date.now(), clientName: req.mcpClient?.name, streams: new Set() });
+    res.set('Mcp-Session-Id', newSessionId);
+  }
+
+  // Only notifications / responses – nothing to send back
+  if (responses.length === 0) return res.status(202).end();
+  return res.json(isBatch ? responses : responses[0]);
+});
 
-    const payload = {
-      reservationId: reservation_id,
-      guestId: reservation.guestId,
-      message,
-      subject,
+// Server-initiated stream for a session – carries notifications/resources/updated
+app.get('/mcp', (req, res) => {
+  if (!(req.get('Accept') || '').includes('text/event-stream')) {
+    return res.set('Allow', 'GET, POST, DELETE').status(405).end();
+  }
+  const sessionId = req.get('Mcp-Session-Id');
+  const session = sessions.get(sessionId);
+  if (!session || session.clientName !== req.mcpClient?.name) {
+    return res.status(404).json(rpcErrorResponse(null, JSONRPC_ERRORS.INVALID_REQUEST, 'Unknown or expired session'));
+  }
+
+  res.status(200).set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' });
+  res.flushHeaders();
+  session.streams.add(res);
+
+  // Comment lines keep proxies from timing the stream out and count as session activity
+  const keepAlive = setInterval(() => {
+    res.write(': keep-alive\n\n');
+    session.lastSeenAt = Date.now();
+  }, SSE_KEEPALIVE_MS);
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    session.streams.delete(res);
+  });
+  return undefined;
+});
+
+app.delete('/mcp', (req, res) => {
+  const sessionId = req.get('Mcp-Session-Id');
+  if (!sessionId || sessions.get(sessionId)?.clientName !== req.mcpClient?.name) return res.status(404).end();
+  endSession(sessionId);
+  return res.status(204).end();
+});
+
+// Malformed JSON bodies on /mcp get a JSON-RPC parse error instead of Express' HTML page
+app.use((err, req, res, next) => {
+  if (err.type === 'entity.parse.failed' && req.path === '/mcp') {
+    return res.status(400).json(rpcErrorResponse(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+  }
+  return next(err);
+});
+
+// ---------------------------------------------------------------------------
+// 10 · Guesty webhooks & resource subscriptions
+// ---------------------------------------------------------------------------
+
+const WEBHOOK_EVENTS_MAX = Number(process.env.WEBHOOK_EVENTS_MAX) || 500;
+const WEBHOOK_TOLERANCE_MS = 5 * 60_000; // Svix rejects replays older than this too
+const MESSAGE_PREVIEW_CHARS = 500;
+const EVENTS_RESOURCE_URI = 'guesty://events';
+
+const recentEvents = []; // oldest first, capped at WEBHOOK_EVENTS_MAX
+const seenEventIds = new Set(); // Svix redelivers on timeouts – keep each event once
+
+// Guesty signs webhooks with Svix: HMAC-SHA256 over "<id>.<timestamp>.<raw body>"
+// using the base64 part of the whsec_ secret. Returns a reason on failure, null when valid.
+function verifyWebhookSignature(secret, req) {
+  const id = req.get('svix-id') || req.get('webhook-id');
+  const timestamp = req.get('svix-timestamp') || req.get('webhook-timestamp');
+  const signatures = req.get('svix-signature') || req.get('webhook-signature');
+  if (!id || !timestamp || !signatures) return 'missing signature headers';
+  if (!req.rawBody) return 'missing JSON body';
+  if (!(Math.abs(Date.now() - Number(timestamp) * 1000) <= WEBHOOK_TOLERANCE_MS)) return 'timestamp outside tolerance';
+
+  const key = Buffer.from(secret.replace(/^whsec_/, ''), 'base64');
+  const expected = crypto.createHmac('sha256', key).update(`${id}.${timestamp}.`).update(req.rawBody).digest();
+  const valid = signatures.split(' ').some((entry) => {
+    const [version, value] = entry.split(',');
+    const signature = Buffer.from(value || '', 'base64');
+    return version === 'v1' && signature.length === expected.length && crypto.timingSafeEqual(signature, expected);
+  });
+  return valid ? null : 'signature mismatch';
+}
+
+function eventCategory(type) {
+  if (/message/i.test(type)) return 'message';
+  return ['reservation', 'listing', 'guest'].find((category) => type.startsWith(`${category}.`)) ?? 'other';
+}
+
+// Guesty's payloads carry whole documents – keep the ids and the few fields an agent triages on
+function normalizeWebhookEvent(payload, { id, account }) {
+  const type = String(payload.event || payload.type || 'unknown');
+  const { reservation, listing, message, conversation, guest } = payload;
+  const category = eventCategory(type);
+
+  const event = {
+    id,
+    type,
+    category,
+    account,
+    received_at: new Date().toISOString(),
+    reservation_id: reservation?._id ?? message?.reservationId ?? conversation?.meta?.reservations?.[0]?._id ?? null,
+    listing_id: listing?._id ?? reservation?.listingId ?? null,
+    guest_id: guest?._id ?? reservation?.guestId ?? conversation?.guest?._id ?? message?.guestId ?? null,
+    summary: {},
+  };
+
+  if (category === 'reservation' && reservation) {
+    const { checkIn, checkOut } = reservationDates(reservation);
+    event.summary = {
+      status: reservation.status ?? null,
+      check_in: checkIn,
+      check_out: checkOut,
+      confirmation_code: reservation.confirmationCode ?? null,
+      source: reservation.source ?? null,
+      guests_count: reservation.guestsCount ?? null,
     };
+  } else if (category === 'message' && message) {
+    const body = String(message.body ?? message.text ?? '');
+    event.summary = {
+      direction: /received|incoming/i.test(type) || message.type === 'fromGuest' ? 'incoming' : 'outgoing',
+      channel: message.module?.type ?? message.module ?? null,
+      body: body.length > MESSAGE_PREVIEW_CHARS ? `${body.slice(0, MESSAGE_PREVIEW_CHARS)}…` : body,
+    };
+  } else if (category === 'listing' && listing) {
+    event.summary = { title: listing.title ?? null, nickname: listing.nickname ?? null, active: listing.active ?? null };
+  }
+  return event;
+}
+
+// Resources whose cached copies / subscribers an event affects
+function eventResourceUris(event) {
+  return [
+    EVENTS_RESOURCE_URI,
+    event.reservation_id && `guesty://reservations/${event.reservation_id}`,
+    event.listing_id && `guesty://listings/${event.listing_id}`,
+  ].filter(Boolean);
+}
+
+async function recordWebhookEvent(event) {
+  recentEvents.push(event);
+  seenEventIds.add(event.id);
+  while (recentEvents.length > WEBHOOK_EVENTS_MAX) seenEventIds.delete(recentEvents.shift().id);
 
-    return guesty.post(ENDPOINTS.COMMUNICATIONS, payload);
+  // Our cached copies are now stale
+  await requestContext.run({ account: event.account }, () => Promise.all([
+    event.reservation_id && invalidateCacheFor(`${ENDPOINTS.RESERVATIONS}/${event.reservation_id}`),
+    event.listing_id && invalidateCacheFor(`${ENDPOINTS.LISTINGS}/${event.listing_id}`),
+  ]));
+
+  eventResourceUris(event).forEach((uri) => notifyResourceUpdated(uri, event.account));
+}
+
+//--------------------------------------------------
+// MCP resources
+//--------------------------------------------------
+
+// Resources are read-only views backed by a tool, and share that tool's permission
+const RESOURCES = [
+  {
+    uri: EVENTS_RESOURCE_URI,
+    name: 'Recent Guesty events',
+    description: 'Events received by webhook, newest first. Subscribe to be notified as new ones arrive',
+    mimeType: 'application/json',
+    tool: 'list_recent_events',
+    select: (result) => result.events,
+  },
+];
+
+const RESOURCE_TEMPLATES = [
+  {
+    uriTemplate: 'guesty://listings/{id}',
+    name: 'Guesty listing',
+    description: 'Summary of a listing (property), as returned by get_property',
+    mimeType: 'application/json',
+    tool: 'get_property',
+    param: 'property_id',
+  },
+  {
+    uriTemplate: 'guesty://reservations/{id}',
+    name: 'Guesty reservation',
+    description: 'Summary of a reservation, as returned by get_reservation',
+    mimeType: 'application/json',
+    tool: 'get_reservation',
+    param: 'reservation_id',
+  },
+].map((template) => ({ ...template, pattern: new RegExp(`^${template.uriTemplate.replace('{id}', '([^/?#]+)')}$`) }));
+
+const RESOURCE_LIST_PAGE_SIZE = 100;
+
+// uri → { tool, params, select } – JsonRpcError when nothing serves it
+function resolveResource(uri) {
+  const resource = typeof uri === 'string' && RESOURCES.find((candidate) => candidate.uri === uri);
+  if (resource) return { tool: resource.tool, params: {}, select: resource.select };
+
+  const template = typeof uri === 'string' && RESOURCE_TEMPLATES.find((candidate) => candidate.pattern.test(uri));
+  if (template) {
+    return { tool: template.tool, params: { [template.param]: decodeURIComponent(uri.match(template.pattern)[1]) }, select: (result) => result };
+  }
+  throw new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Unknown resource: ${uri}`, { uri });
+}
+
+function toResourceError(err, uri) {
+  if (err instanceof JsonRpcError) return err;
+  if (err instanceof NotFoundError) return new JsonRpcError(JSONRPC_ERRORS.RESOURCE_NOT_FOUND, `Resource not found: ${uri}`, toErrorPayload(err));
+  if (err instanceof ValidationError) return new JsonRpcError(JSONRPC_ERRORS.INVALID_PARAMS, err.message, toErrorPayload(err));
+  if (err instanceof ForbiddenError) return new JsonRpcError(JSONRPC_ERRORS.UNAUTHORIZED, err.message, toErrorPayload(err));
+  return new JsonRpcError(JSONRPC_ERRORS.INTERNAL_ERROR, err.message, toErrorPayload(err));
+}
+
+// Fixed resources first, then one page of listings; the cursor continues through the listings
+async function listResources(context, cursor) {
+  const { client } = context;
+  const resources = cursor ? [] : RESOURCES.filter((resource) => isToolAllowed(client, resource.tool)).map(({ tool, select, ...resource }) => resource);
+  if (!isToolAllowed(client, 'list_properties')) return { resources };
+
+  try {
+    const state = cursor ? decodeCursor(cursor, 'resources/list') : { s: 0, n: RESOURCE_LIST_PAGE_SIZE };
+    const account = resolveAccount(undefined, client);
+    const page = await requestContext.run({ ...requestContext.getStore(), account: account.name }, () => guesty.get(ENDPOINTS.LISTINGS, {
+      fields: '_id title nickname',
+      limit: state.n,
+      skip: state.s,
+    }));
+
+    const listings = page.results ?? [];
+    listings.forEach((listing) => resources.push({
+      uri: `guesty://listings/${listing._id}`,
+      name: listing.title || listing.nickname || listing._id,
+      mimeType: 'application/json',
+    }));
+    const next = state.s + listings.length;
+    const more = listings.length === state.n && (page.count === undefined || next < page.count);
+    return more ? { resources, nextCursor: encodeCursor('resources/list', {}, next, state.n) } : { resources };
   } catch (err) {
-    if (err.response?.status === 404) {
-      throw new Error('NotFoundError: Reservation not found');
-    }
-    throw err;
+    throw toResourceError(err, 'guesty://listings');
   }
 }
 
-async function getGuestMessages({ reservation_id, limit }) {
-  // Input validation
-  if (!reservation_id) {
-    throw new Error('ValidationError: reservation_id is required');
+function listResourceTemplates(client) {
+  return RESOURCE_TEMPLATES
+    .filter((template) => isToolAllowed(client, template.tool))
+    .map(({ uriTemplate, name, description, mimeType }) => ({ uriTemplate, name, description, mimeType }));
+}
+
+// Also covers subscriptions to per-item URIs (guesty://reservations/<id>) that webhooks touch
+function assertResourceAllowed(uri, client) {
+  const { tool } = resolveResource(uri);
+  if (!isToolAllowed(client, tool)) {
+    throw new JsonRpcError(JSONRPC_ERRORS.UNAUTHORIZED, `API key "${client.name}" is not allowed to read ${uri}`);
   }
-  if (limit && (!Number.isInteger(limit) || limit < 1)) {
-    throw new Error('ValidationError: limit must be a positive integer');
+}
+
+// Reads run as tool calls, so they are cached, audited and metered like any other call
+async function readResource(uri, context) {
+  assertResourceAllowed(uri, context.client);
+  const { tool, params, select } = resolveResource(uri);
+  try {
+    const result = await callTool(tool, params, context);
+    return { uri, mimeType: 'application/json', text: JSON.stringify(select(result), null, 2) };
+  } catch (err) {
+    throw toResourceError(err, uri);
   }
-  
-  const query = { reservationId: reservation_id };
-  if (limit) query.limit = limit;
-  
-  console.log(`[getGuestMessages] Fetching messages for reservation: ${reservation_id}`);
-  return guesty.get(ENDPOINTS.COMMUNICATIONS, query)
-    .catch(err => {
-      if (err.response?.status === 404) {
-        throw new Error('NotFoundError: Reservation not found');
-      }
-      throw err;
-    });
 }
 
 //--------------------------------------------------
-// 7 · MCP endpoint
+// Resource subscriptions (notifications/resources/updated)
 //--------------------------------------------------
 
-app.post('/mcp', async (req, res) => {
-  const { type } = req.body;
-  try {
-    if (type === 'ping') return res.json({ type: 'pong' });
-    if (type === 'manifest') return res.json({ type: 'manifest', manifest: MCP_MANIFEST });
+// Subscriber id (Mcp-Session-Id, or "stdio") → { uris, client, send(method, params) }
+const resourceSubscriptions = new Map();
 
-    if (type === 'tool_call') {
-      const { tool_name, tool_params, call_id } = req.body;
-      let result;
-
-      switch (tool_name) {
-        case 'list_properties':
-          result = await listProperties(tool_params);
-          break;
-        case 'get_property':
-          result = await getProperty(tool_params);
-          break;
-        case 'check_availability':
-          result = await checkAvailability(tool_params);
-          break;
-        case 'list_reservations':
-          result = await listReservations(tool_params);
-          break;
-        case 'get_reservation':
-          result = await getReservation(tool_params);
-          break;
-        case 'create_reservation':
-          result = await createReservation(tool_params);
-          break;
-        case 'send_guest_message':
-          result = await sendGuestMessage(tool_params);
-          break;
-        case 'get_guest_messages':
-          result = await getGuestMessages(tool_params);
-          break;
-        default:
-          throw new Error(`Unknown tool: ${tool_name}`);
-      }
-
-      return res.json({ type: 'tool_result', call_id, result });
+function subscriberFor(context) {
+  if (context.transport === 'stdio') {
+    return { id: 'stdio', client: null, send: context.notify };
+  }
+  if (context.sessionId) {
+    const { sessionId } = context;
+    return {
+      id: sessionId,
+      client: context.client,
+      // Delivered on the session's GET /mcp stream(s); dropped when none is open
+      send: (method, params) => sessions.get(sessionId)?.streams.forEach((stream) => writeSseMessage(stream, { jsonrpc: '2.0', method, params })),
+    };
+  }
+  throw new JsonRpcError(JSONRPC_ERRORS.INVALID_REQUEST, 'Subscriptions need a session – initialize first and send Mcp-Session-Id');
+}
+
+function notifyResourceUpdated(uri, account) {
+  resourceSubscriptions.forEach((subscriber) => {
+    if (subscriber.uris.has(uri) && isAccountAllowed(subscriber.client, account)) {
+      subscriber.send('notifications/resources/updated', { uri });
     }
+  });
+}
 
-    return res.status(400).json({ type: 'error', error: { message: `Unknown type: ${type}` } });
-  } catch (err) {
-    console.error(`[ERROR] ${err.message}`, err.stack);
-    
-    // Determine appropriate status code and error type
-    let statusCode = 500;
-    let errorType = 'ServerError';
-    
-    if (err.message.startsWith('ValidationError:')) {
-      statusCode = 400;
-      errorType = 'ValidationError';
-    } else if (err.message.startsWith('NotFoundError:')) {
-      statusCode = 404;
-      errorType = 'NotFoundError';
-    } else if (err.message.startsWith('ConflictError:')) {
-      statusCode = 409;
-      errorType = 'ConflictError';
-    } else if (err.response?.status) {
-      statusCode = err.response.status;
-    }
-    
-    return res.status(statusCode).json({
-      type: 'error',
-      error: { 
-        type: errorType,
-        message: err.message,
-        details: err.response?.data || null 
-      },
-    });
+//--------------------------------------------------
+// Webhook endpoint
+//--------------------------------------------------
+
+// One URL per account: /webhooks/guesty for the default account, /webhooks/guesty/<name> for others
+app.post('/webhooks/guesty/:account?', async (req, res) => {
+  const accountName = req.params.account || DEFAULT_ACCOUNT;
+  const account = ACCOUNTS.get(accountName);
+  if (!account?.webhookSecret) {
+    return res.status(404).json({ error: `Webhooks are not configured for account ${accountName}` });
+  }
+
+  const failure = verifyWebhookSignature(account.webhookSecret, req);
+  if (failure) {
+    METRICS.webhookEvents.inc({ type: 'unknown', result: 'rejected' });
+    logger.warn('Rejected webhook', { account: accountName, reason: failure });
+    return res.status(401).json({ error: `Invalid webhook signature: ${failure}` });
+  }
+
+  const id = req.get('svix-id') || req.get('webhook-id');
+  const event = normalizeWebhookEvent(req.body ?? {}, { id, account: accountName });
+  if (seenEventIds.has(id)) {
+    METRICS.webhookEvents.inc({ type: event.type, result: 'duplicate' });
+    return res.json({ received: true, duplicate: true });
   }
+
+  await recordWebhookEvent(event);
+  METRICS.webhookEvents.inc({ type: event.type, result: 'accepted' });
+  logger.info('Webhook event', { account: accountName, type: event.type, event_id: id, reservation_id: event.reservation_id });
+  return res.json({ received: true });
 });
 
+async function listRecentEvents({ types, since, after_id, reservation_id, listing_id, limit = 50 }) {
+  const account = currentAccount().name;
+  let events = recentEvents.filter((event) => event.account === account);
+
+  // Polling: only what arrived after the last event the agent saw (everything if it has rolled off)
+  if (after_id) {
+    const index = events.findIndex((event) => event.id === after_id);
+    if (index >= 0) events = events.slice(index + 1);
+  }
+
+  const typePatterns = types?.map(toolPatternToRegExp);
+  events = events.filter((event) => (
+    (!typePatterns || typePatterns.some((pattern) => pattern.test(event.type) || pattern.test(event.category)))
+    && (!since || Date.parse(event.received_at) >= auditBound(since))
+    && (!reservation_id || event.reservation_id === reservation_id)
+    && (!listing_id || event.listing_id === listing_id)
+  ));
+
+  // After a cursor, return the oldest batch so repeated polling never skips events
+  const page = after_id ? events.slice(0, limit) : events.slice(-limit);
+  return {
+    events: [...page].reverse(),
+    returned: page.length,
+    truncated: events.length > page.length,
+    next_after_id: page.at(-1)?.id ?? after_id ?? null,
+  };
+}
+
 // ---------------------------------------------------------------------------
-// 8 · Start server
+// 11 · stdio transport (newline-delimited JSON-RPC on stdin/stdout)
 // ---------------------------------------------------------------------------
 
-app.listen(PORT, () => {
-  console.log(`🚀 Guesty MCP server listening on :${PORT}`);
-});
+function writeStdioMessage(message) {
+  process.stdout.write(`${JSON.stringify(message)}\n`);
+}
+
+async function handleStdioLine(line, context) {
+  let payload;
+  try {
+    payload = JSON.parse(line);
+  } catch {
+    return writeStdioMessage(rpcErrorResponse(null, JSONRPC_ERRORS.PARSE_ERROR, 'Parse error'));
+  }
+
+  if (Array.isArray(payload)) {
+    const replies = await Promise.all(payload.map((m) => handleJsonRpcMessage(m, context)));
+    const responses = replies.filter(Boolean);
+    if (responses.length > 0) writeStdioMessage(responses);
+    return undefined;
+  }
+
+  const response = await handleJsonRpcMessage(payload, context);
+  if (response) writeStdioMessage(response);
+  return undefined;
+}
+
+function startStdioTransport() {
+  const notify = (method, params) => writeStdioMessage({ jsonrpc: '2.0', method, params });
+  const context = { transport: 'stdio', notify };
+  const pending = new Set();
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    const work = requestContext.run({ requestId: crypto.randomUUID() }, () => handleStdioLine(line, context))
+      .finally(() => pending.delete(work));
+    pending.add(work);
+  });
+
+  // Client closed stdin – finish in-flight calls, then exit
+  rl.on('close', async () => {
+    await Promise.allSettled([...pending]);
+    process.exit(0);
+  });
+
+  logger.info('Guesty MCP server running on stdio');
+}
+
+// ---------------------------------------------------------------------------
+// 12 · Start server
+// ---------------------------------------------------------------------------
+
+const SHUTDOWN_TIMEOUT_MS = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 25_000;
+
+// Stop accepting work, let in-flight /mcp calls finish (up to SHUTDOWN_TIMEOUT_MS), then exit
+async function shutdown(server, signal) {
+  if (lifecycle.draining) return;
+  lifecycle.draining = true;
+  logger.info('Shutting down, draining in-flight calls', { signal, in_flight: lifecycle.inFlight });
+
+  server.close();
+  server.closeIdleConnections();
+  sessions.forEach((session) => session.streams.forEach((stream) => stream.end())); // clients reconnect elsewhere
+
+  const deadline = Date.now() + SHUTDOWN_TIMEOUT_MS;
+  while (lifecycle.inFlight > 0 && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  if (lifecycle.inFlight > 0) logger.warn('Shutdown timeout reached, abandoning in-flight calls', { in_flight: lifecycle.inFlight });
+  else logger.info('Drained, exiting');
+  process.exit(0);
+}
+
+if (STDIO_MODE) {
+  startStdioTransport();
+} else {
+  const server = app.listen(PORT, () => {
+    logger.info('Guesty MCP server listening', { port: Number(PORT) });
+  });
+  process.on('SIGTERM', () => shutdown(server, 'SIGTERM'));
+  process.on('SIGINT', () => shutdown(server, 'SIGINT'));
+}